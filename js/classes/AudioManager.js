@@ -5,6 +5,9 @@
 
 import { storageManager } from './StorageManager.js';
 
+// How long the built-in chimes ring, so spoken announcements start after them
+const CHIME_DURATIONS_MS = { workComplete: 900, breakComplete: 1000, warning: 150 };
+
 export class AudioManager {
     constructor(settings) {
         this.settings = settings;
@@ -14,6 +17,7 @@ export class AudioManager {
         this.currentMusicId = null; // legacy
         this.customSounds = new Map(); // Map of id -> Audio object
         this.notificationSounds = {};
+        this.chimeEndsAt = 0; // epoch ms the last chime finishes
         this.initPromise = this.initialize();
     }
 
@@ -158,12 +162,106 @@ export class AudioManager {
     }
 
     /**
-     * Play notification by type
+     * Play notification by type, optionally followed by a spoken announcement
      */
-    playNotification(type) {
+    playNotification(type, announcement = '') {
         if (this.notificationSounds[type]) {
             this.notificationSounds[type]();
+            if (this.settings.enableNotifications) {
+                this.chimeEndsAt = Math.max(this.chimeEndsAt, Date.now() + (CHIME_DURATIONS_MS[type] || 0));
+            }
         }
+        this.speak(announcement);
+    }
+
+    // ===== Speech Methods =====
+
+    /**
+     * Whether the browser can speak announcements
+     */
+    isSpeechSupported() {
+        return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * Installed voices, those for `lang` first
+     */
+    getVoices(lang = this.settings.speechLang) {
+        if (!this.isSpeechSupported()) return [];
+
+        const prefix = (lang || '').split('-')[0].toLowerCase();
+        const voices = window.speechSynthesis.getVoices();
+        const matching = voices.filter(voice => voice.lang.toLowerCase().startsWith(prefix));
+        return [...matching, ...voices.filter(voice => !matching.includes(voice))];
+    }
+
+    /**
+     * Read text aloud with the chosen voice, language and rate.
+     * Waits for a chime that is still ringing; announcements queue up instead of overlapping.
+     * @param {Object} preview - { voice, lang, rate } to try unsaved choices, spoken even when announcements are off
+     */
+    speak(text, preview = null) {
+        if (!text || !this.isSpeechSupported() || (!this.settings.enableSpeech && !preview)) return;
+
+        const options = {
+            voice: this.settings.speechVoice,
+            lang: this.settings.speechLang,
+            rate: this.settings.speechRate,
+            ...preview
+        };
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = options.lang || 'vi-VN';
+        utterance.rate = options.rate || 1;
+        utterance.volume = this.settings.notificationVolume / 100;
+
+        const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === options.voice);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+
+        const delay = Math.max(0, this.chimeEndsAt - Date.now());
+        setTimeout(() => window.speechSynthesis.speak(utterance), delay);
+    }
+
+    /**
+     * Built-in notification sounds plus library sounds, for sound pickers
+     */
+    getSoundChoices() {
+        const choices = [
+            { id: 'workComplete', name: '🔔 Chuông hoàn thành' },
+            { id: 'breakComplete', name: '🛎️ Chuông nhẹ' },
+            { id: 'warning', name: '📢 Bíp' }
+        ];
+        for (const sound of this.customSounds.values()) {
+            choices.push({ id: sound.id.toString(), name: `🎵 ${sound.name}` });
+        }
+        return choices;
+    }
+
+    /**
+     * Play a sound once: a built-in notification type or a library sound id
+     */
+    playSound(soundId) {
+        if (this.notificationSounds[soundId]) {
+            this.playNotification(soundId);
+            return;
+        }
+
+        const sound = this.customSounds.get(parseInt(soundId));
+        if (!sound || !this.settings.enableNotifications) {
+            this.playNotification('workComplete');
+            return;
+        }
+
+        const url = sound.data instanceof Blob ? storageManager.createBlobURL(sound.data) : sound.data;
+        if (!url) return;
+
+        const audio = new Audio(url);
+        audio.volume = this.settings.notificationVolume / 100;
+        audio.addEventListener('ended', () => storageManager.revokeBlobURL(url));
+        audio.play().catch(error => console.warn('Sound playback failed:', error));
     }
 
     // ===== Background Music Methods =====
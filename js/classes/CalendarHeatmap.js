@@ -0,0 +1,160 @@
+/**
+ * CalendarHeatmap - A year of daily focus minutes as a week-by-weekday grid
+ * Colors are relative to each day's goal (or to the busiest day when no goal is set)
+ */
+
+import { storageManager } from './StorageManager.js';
+import { DailyGoalTracker } from './DailyGoalTracker.js';
+
+const HEATMAP_WEEKS = 53;
+const WEEKDAY_LABELS = ['T2', '', 'T4', '', 'T6', '', 'CN'];
+
+export class CalendarHeatmap {
+    /**
+     * @param {Settings} settings
+     * @param {Function} onSelectDay - called with a date key (YYYY-MM-DD) when a day is clicked
+     */
+    constructor(settings, onSelectDay) {
+        this.settings = settings;
+        this.onSelectDay = onSelectDay;
+        this.selectedKey = null;
+
+        this.container = document.getElementById('focusHeatmap');
+        this.container?.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-date]');
+            if (!cell) return;
+            this.select(cell.dataset.date);
+        });
+    }
+
+    /**
+     * Days shown, Monday of the first week to today (oldest first)
+     */
+    getDays(today = new Date()) {
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        start.setDate(start.getDate() - (HEATMAP_WEEKS - 1) * 7 - (start.getDay() + 6) % 7);
+
+        const days = [];
+        for (const date = new Date(start); date <= today; date.setDate(date.getDate() + 1)) {
+            days.push({ date: new Date(date), key: DailyGoalTracker.dateKey(date), minutes: 0, pomodoros: 0 });
+        }
+        return days;
+    }
+
+    /**
+     * Completed work per day, counted like the daily goal
+     */
+    async load(today = new Date()) {
+        const days = this.getDays(today);
+        const byKey = new Map(days.map(day => [day.key, day]));
+
+        await storageManager.forEachSession({ from: days[0].date, type: 'work', filter: s => s.completed }, session => {
+            const day = byKey.get(DailyGoalTracker.dateKey(new Date(session.timestamp)));
+            if (!day) return;
+            day.minutes += session.duration || 0;
+            if (!session.extension) day.pomodoros++; // "+5 phút" extensions continue a pomodoro
+        });
+        return days;
+    }
+
+    /**
+     * Color level 0-4 of a day; level 4 means the goal was reached
+     * @param {number} busiest - most minutes in a day, the scale for days without a goal
+     */
+    getLevel(day, busiest) {
+        if (day.minutes === 0 && day.pomodoros === 0) return 0;
+
+        const { type, target } = this.settings.getDailyGoal(day.date);
+        const ratio = target > 0
+            ? (type === 'minutes' ? day.minutes : day.pomodoros) / target
+            : day.minutes / Math.max(busiest, 1);
+
+        if (ratio >= 1) return 4;
+        if (ratio >= 0.5) return 3;
+        if (ratio >= 0.25) return 2;
+        return 1;
+    }
+
+    /**
+     * Hover text of a day
+     */
+    getTitle(day) {
+        const date = day.date.toLocaleDateString('vi-VN', { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' });
+        const { type, target } = this.settings.getDailyGoal(day.date);
+        let title = `${date}: ${day.minutes} phút · ${day.pomodoros} 🍅`;
+        if (target > 0) {
+            const value = type === 'minutes' ? day.minutes : day.pomodoros;
+            title += ` · mục tiêu ${value}/${target} ${type === 'minutes' ? 'phút' : '🍅'}`;
+        }
+        return title;
+    }
+
+    /**
+     * Load and draw the heatmap
+     */
+    async render() {
+        if (!this.container) return;
+
+        const days = await this.load();
+        const busiest = Math.max(...days.map(day => day.minutes), 0);
+        const totalMinutes = days.reduce((sum, day) => sum + day.minutes, 0);
+        const activeDays = days.filter(day => day.minutes > 0).length;
+        const weeks = Math.ceil(days.length / 7);
+
+        // A month label above the first week that starts in it (none for a partial first month)
+        const months = [];
+        for (let week = 0; week < weeks; week++) {
+            const first = days[week * 7].date;
+            const previous = week > 0 ? days[(week - 1) * 7].date : null;
+            const partial = !previous && days[Math.min(14, days.length - 1)].date.getMonth() !== first.getMonth();
+            if (!partial && (!previous || previous.getMonth() !== first.getMonth())) {
+                months.push(`<span style="grid-column: ${week + 1}">Th${first.getMonth() + 1}</span>`);
+            }
+        }
+
+        const cells = days.map(day => {
+            const level = this.getLevel(day, busiest);
+            const selected = day.key === this.selectedKey ? ' selected' : '';
+            return `<button type="button" class="heatmap-cell level-${level}${selected}" data-date="${day.key}" title="${this.getTitle(day)}"></button>`;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="heatmap-summary">
+                <span><strong>${this.formatMinutes(totalMinutes)}</strong> tập trung trong năm qua</span>
+                <span><strong>${activeDays}</strong> ngày có hoạt động</span>
+            </div>
+            <div class="heatmap-scroll">
+                <div class="heatmap">
+                    <div class="heatmap-months" style="grid-template-columns: repeat(${weeks}, var(--heatmap-cell))">${months.join('')}</div>
+                    <div class="heatmap-weekdays">${WEEKDAY_LABELS.map(label => `<span>${label}</span>`).join('')}</div>
+                    <div class="heatmap-grid">${cells}</div>
+                </div>
+            </div>
+            <div class="heatmap-legend">
+                <span>Ít</span>
+                ${[0, 1, 2, 3, 4].map(level => `<span class="heatmap-cell level-${level}"></span>`).join('')}
+                <span>${this.settings.getDailyGoal().target > 0 ? 'Đạt mục tiêu' : 'Nhiều'}</span>
+            </div>
+        `;
+
+        // Show the latest days first on narrow screens
+        const scroll = this.container.querySelector('.heatmap-scroll');
+        if (scroll) scroll.scrollLeft = scroll.scrollWidth;
+    }
+
+    /**
+     * Highlight a day and open its details (null clears the selection)
+     */
+    select(key) {
+        this.selectedKey = key;
+        this.container?.querySelectorAll('.heatmap-grid .heatmap-cell').forEach(cell => {
+            cell.classList.toggle('selected', cell.dataset.date === key);
+        });
+        if (key) this.onSelectDay?.(key);
+    }
+
+    formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours} giờ ${minutes % 60} phút` : `${minutes} phút`;
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * CommandPalette - Ctrl+K search over commands, presets, sounds and backgrounds
+ * Items are { group, label, hint, run } supplied by the app each time the palette opens
+ */
+
+import { fuzzyFilter } from '../utils/fuzzySearch.js';
+
+const MAX_RESULTS = 50;
+
+export class CommandPalette {
+    /**
+     * @param {Function} getItems - returns the searchable items
+     */
+    constructor(getItems) {
+        this.getItems = getItems;
+        this.items = [];
+        this.results = [];
+        this.selectedIndex = 0;
+
+        this.modal = document.getElementById('commandPalette');
+        this.input = document.getElementById('commandPaletteInput');
+        this.list = document.getElementById('commandPaletteResults');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input?.addEventListener('input', () => this.search());
+        this.input?.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) this.runResult(parseInt(item.dataset.index));
+        });
+
+        // Click on the backdrop closes the palette
+        this.modal?.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+    }
+
+    isOpen() {
+        return !!this.modal?.classList.contains('show');
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.modal) return;
+
+        this.items = this.getItems();
+        this.modal.classList.add('show');
+        if (this.input) {
+            this.input.value = '';
+            this.input.focus();
+        }
+        this.search();
+    }
+
+    close() {
+        this.modal?.classList.remove('show');
+        this.input?.blur();
+    }
+
+    /**
+     * Filter items by the typed query
+     */
+    search() {
+        const query = this.input?.value || '';
+        this.results = fuzzyFilter(this.items, query, item => `${item.group} ${item.label}`).slice(0, MAX_RESULTS);
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    /**
+     * Arrow keys move the selection, Enter runs it, Esc closes
+     */
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.selectedIndex = (this.selectedIndex + step + this.results.length) % this.results.length;
+            this.render();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runResult(this.selectedIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+        }
+    }
+
+    runResult(index) {
+        const item = this.results[index];
+        if (!item) return;
+
+        this.close();
+        Promise.resolve()
+            .then(() => item.run())
+            .catch(error => console.error('Command failed:', error));
+    }
+
+    render() {
+        if (!this.list) return;
+
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<li class="command-palette-empty text-muted">Không tìm thấy lệnh phù hợp</li>';
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((item, index) => `
+            <li class="command-palette-item${index === this.selectedIndex ? ' selected' : ''}" data-index="${index}">
+                <span class="command-palette-group">${item.group}</span>
+                <span class="command-palette-label">${item.label}</span>
+                ${item.hint ? `<kbd>${item.hint}</kbd>` : ''}
+            </li>
+        `).join('');
+
+        this.list.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+    }
+}
@@ -17,15 +17,8 @@ export class DailyActivityManager {
         const dayOfWeek = date.getDay(); // 0 = Chủ nhật, 1 = Thứ 2, ..., 6 = Thứ 7
         const dayNumber = dayOfWeek === 0 ? 7 : dayOfWeek; // Convert: CN=7, T2=2, ..., T7=7
         
-        // Tìm class schedule
-        const classSchedules = this.scheduleManager.schedules.filter(s => s.type === 'class');
-        if (classSchedules.length === 0) return [];
-        
         // Lấy schedule mới nhất
-        const latestSchedule = classSchedules.sort((a, b) => 
-            new Date(b.createdAt) - new Date(a.createdAt)
-        )[0];
-        
+        const latestSchedule = this.scheduleManager.getLatestClassSchedule();
         if (!latestSchedule || !latestSchedule.courses) return [];
         
         // Lọc courses có học vào ngày này
@@ -0,0 +1,217 @@
+/**
+ * DailyGoalTracker - Progress toward the daily pomodoro/focus-minute goal
+ * Shows an outer ring around the timer and keeps a per-day record of goal results
+ */
+
+import { storageManager } from './StorageManager.js';
+import { showNotification } from '../utils/notification.js';
+import { localDateKey } from '../utils/statsAggregator.js';
+
+const GOAL_RING_RADIUS = 140;
+const HISTORY_DAYS = 400; // older results are dropped
+
+export class DailyGoalTracker {
+    constructor(timer, settings) {
+        this.timer = timer;
+        this.settings = settings;
+
+        this.progressText = document.getElementById('dailyGoalProgress');
+        this.progressCircle = document.getElementById('goalProgressCircle');
+
+        this.timer.on('complete', ({ session, restored }) => {
+            if (session.type === 'work') {
+                // Sessions caught up after the page was closed overnight count for the day they ended
+                this.recordDay(new Date(session.timestamp), restored);
+            }
+        });
+        // Follower tabs and settings changes only need a redraw
+        this.timer.on('sync', () => this.render());
+        this.timer.on('sessionChange', ({ reason }) => {
+            if (reason === 'settings') this.render();
+        });
+    }
+
+    /**
+     * Local calendar day key (YYYY-MM-DD)
+     */
+    static dateKey(date) {
+        return localDateKey(date);
+    }
+
+    /**
+     * Focus done on a given day, in the unit of the goal
+     */
+    getValue(type, date = new Date()) {
+        const key = DailyGoalTracker.dateKey(date);
+        const sessions = (this.timer.sessionHistory || []).filter(s =>
+            s.type === 'work' && s.completed && DailyGoalTracker.dateKey(new Date(s.timestamp)) === key);
+
+        if (type === 'minutes') {
+            return sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+        }
+        // "+5 phút" extensions continue a pomodoro rather than add one
+        return sessions.filter(s => !s.extension).length;
+    }
+
+    /**
+     * Today's progress: { type, target, value, percent, reached }
+     */
+    getProgress(date = new Date()) {
+        const { type, target } = this.settings.getDailyGoal(date);
+        const value = this.getValue(type, date);
+        return {
+            type,
+            target,
+            value,
+            percent: target > 0 ? Math.min(100, Math.round(value / target * 100)) : 0,
+            reached: target > 0 && value >= target
+        };
+    }
+
+    /**
+     * Save the result of a day and celebrate when the goal is first reached
+     * @param {Date} date - day the session ended on
+     * @param {boolean} restored - the session ended while the page was closed (no celebration)
+     */
+    recordDay(date = new Date(), restored = false) {
+        const progress = this.getProgress(date);
+
+        if (progress.target > 0 && !this.timer.follower) {
+            const history = storageManager.getGoalHistory();
+            const key = DailyGoalTracker.dateKey(date);
+            const wasReached = !!history[key]?.reached;
+
+            history[key] = {
+                type: progress.type,
+                target: progress.target,
+                value: progress.value,
+                reached: progress.reached
+            };
+            storageManager.saveGoalHistory(this.pruneHistory(history));
+
+            if (progress.reached && !wasReached && !restored) {
+                this.celebrate(progress);
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Drop results older than HISTORY_DAYS
+     */
+    pruneHistory(history) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - HISTORY_DAYS);
+        const cutoffKey = DailyGoalTracker.dateKey(cutoff);
+
+        Object.keys(history).forEach(key => {
+            if (key < cutoffKey) delete history[key];
+        });
+        return history;
+    }
+
+    celebrate(progress) {
+        const unit = progress.type === 'minutes' ? 'phút tập trung' : 'pomodoro';
+        showNotification(`🎉 Đã đạt mục tiêu hôm nay: ${progress.value}/${progress.target} ${unit}!`, 'success');
+
+        const timerCircle = this.progressCircle?.closest('.timer-circle');
+        if (timerCircle && this.settings.enableAnimations) {
+            timerCircle.classList.add('goal-reached');
+            setTimeout(() => timerCircle.classList.remove('goal-reached'), 3000);
+        }
+    }
+
+    /**
+     * Goal results for the last `days` days (today only counts once reached).
+     * Days without a record count as missed once tracking has started.
+     * @returns {{ days: Array<{date, target, value, reached}>, hit: number, total: number, streak: number }}
+     */
+    getHitRate(days = 30) {
+        const history = storageManager.getGoalHistory();
+        const firstKey = Object.keys(history).sort()[0];
+        const todayKey = DailyGoalTracker.dateKey(new Date());
+        const result = [];
+
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const key = DailyGoalTracker.dateKey(date);
+
+            let entry = history[key];
+            if (key === todayKey) {
+                const progress = this.getProgress(date);
+                entry = progress.target > 0 ? progress : null;
+            } else if (!entry && firstKey && key > firstKey) {
+                const { target } = this.settings.getDailyGoal(date);
+                entry = target > 0 ? { target, value: 0, reached: false } : null;
+            }
+
+            result.push(entry ? { date: key, target: entry.target, value: entry.value, reached: entry.reached } : { date: key, target: 0, value: 0, reached: null });
+        }
+
+        const counted = result.filter(d => d.reached !== null && (d.date !== todayKey || d.reached));
+        let streak = 0;
+        for (let i = counted.length - 1; i >= 0 && counted[i].reached; i--) {
+            streak++;
+        }
+
+        return {
+            days: result,
+            hit: counted.filter(d => d.reached).length,
+            total: counted.length,
+            streak
+        };
+    }
+
+    // ===== UI Rendering Methods =====
+
+    /**
+     * Update the goal ring and text under the timer
+     */
+    render() {
+        const progress = this.getProgress();
+        const hasGoal = progress.target > 0;
+
+        if (this.progressText) {
+            const unit = progress.type === 'minutes' ? 'phút' : '🍅';
+            this.progressText.textContent = hasGoal ? `🎯 ${progress.value}/${progress.target} ${unit}` : '';
+            this.progressText.classList.toggle('reached', progress.reached);
+        }
+
+        if (this.progressCircle) {
+            const circumference = 2 * Math.PI * GOAL_RING_RADIUS;
+            this.progressCircle.style.display = hasGoal ? '' : 'none';
+            this.progressCircle.style.strokeDasharray = `${circumference * progress.percent / 100} ${circumference}`;
+        }
+    }
+
+    /**
+     * Render the goal-hit rate for the stats tab
+     */
+    renderHistory() {
+        const container = document.getElementById('goalHistory');
+        if (!container) return;
+
+        const { days, hit, total, streak } = this.getHitRate(30);
+        if (total === 0) {
+            container.innerHTML = '<div class="text-muted">Chưa có dữ liệu mục tiêu. Đặt mục tiêu hằng ngày trong Cài Đặt.</div>';
+            return;
+        }
+
+        const rate = Math.round(hit / total * 100);
+        const dots = days.map(d => {
+            const state = d.reached === null ? 'none' : d.reached ? 'hit' : 'miss';
+            const title = d.reached === null ? d.date : `${d.date}: ${d.value}/${d.target}`;
+            return `<span class="goal-day ${state}" title="${title}"></span>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="goal-summary">
+                <span><strong>${rate}%</strong> ngày đạt mục tiêu (${hit}/${total})</span>
+                <span>🔥 Chuỗi đạt mục tiêu: <strong>${streak}</strong> ngày</span>
+            </div>
+            <div class="goal-days">${dots}</div>
+        `;
+    }
+}
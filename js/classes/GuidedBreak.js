@@ -0,0 +1,158 @@
+/**
+ * GuidedBreak - Breathing or exercise guide shown during breaks
+ * Follows the break countdown, so pausing the timer pauses the routine
+ */
+
+import { getRoutineStep } from '../utils/breakRoutines.js';
+
+export class GuidedBreak {
+    constructor(timer, settings, audioManager, routineManager) {
+        this.timer = timer;
+        this.settings = settings;
+        this.audioManager = audioManager;
+        this.routineManager = routineManager;
+
+        this.routine = null;
+        this.stepKey = null; // "round:index" of the step on screen, to cue step changes once
+        this.hiddenForBreak = null; // startedAt of the break the user closed the guide for
+
+        this.modal = document.getElementById('guidedBreakModal');
+        this.bindEvents();
+    }
+
+    /**
+     * Subscribe to timer events and wire the guide controls
+     */
+    bindEvents() {
+        ['start', 'resume', 'sync'].forEach(event => this.timer.on(event, () => this.openForCurrentBreak()));
+        this.timer.on('tick', () => this.update());
+        this.timer.on('pause', () => this.update());
+        ['complete', 'reset', 'sessionChange', 'abandon'].forEach(event => this.timer.on(event, () => this.close()));
+
+        document.getElementById('hideGuidedBreakBtn')?.addEventListener('click', () => {
+            this.hiddenForBreak = this.timer.startedAt;
+            this.close();
+        });
+        document.getElementById('skipGuidedBreakBtn')?.addEventListener('click', () => this.timer.skip());
+    }
+
+    /**
+     * Routine chosen in settings for a break type
+     */
+    getRoutineFor(sessionType) {
+        const id = sessionType === 'longBreak' ? this.settings.longBreakRoutine : this.settings.shortBreakRoutine;
+        return this.routineManager.getRoutine(id);
+    }
+
+    /**
+     * Open the guide if a break with a routine is running or paused
+     */
+    openForCurrentBreak() {
+        const timer = this.timer;
+        const inBreak = timer.currentSession !== 'work' && (timer.isRunning || timer.isPaused);
+        const routine = inBreak ? this.getRoutineFor(timer.currentSession) : null;
+
+        if (!routine || this.hiddenForBreak === timer.startedAt) {
+            this.close();
+            return;
+        }
+
+        if (this.routine !== routine) {
+            this.routine = routine;
+            this.stepKey = null;
+        }
+
+        if (this.modal) {
+            this.modal.classList.toggle('breathing', routine.kind === 'breathing');
+            this.modal.classList.add('show');
+            this.setText('guidedBreakTitle', routine.name);
+        }
+        this.update();
+    }
+
+    close() {
+        this.routine = null;
+        this.stepKey = null;
+        this.modal?.classList.remove('show');
+    }
+
+    /**
+     * Show the current step for the time spent in the break
+     */
+    update() {
+        if (!this.routine) return;
+
+        const timer = this.timer;
+        const elapsed = Math.max(0, timer.sessionLength - timer.currentTime);
+        const position = getRoutineStep(this.routine, elapsed);
+        if (!position) return;
+
+        this.setText('guidedBreakRemaining', `Còn ${this.formatSeconds(Math.max(0, timer.currentTime))} nghỉ${timer.isPaused ? ' (tạm dừng)' : ''}`);
+
+        if (position.finished) {
+            this.setText('guidedBreakStep', 'Hoàn thành! Thư giãn đến hết giờ nghỉ 😊');
+            this.setText('guidedBreakCountdown', '');
+            this.setText('guidedBreakProgress', '');
+            this.cueStep('finished', null, 0);
+            return;
+        }
+
+        const { step, index, round, stepRemaining } = position;
+        this.setText('guidedBreakStep', step.label);
+        this.setText('guidedBreakCountdown', stepRemaining);
+        this.setText('guidedBreakProgress', this.routine.loop
+            ? `Vòng ${round + 1}`
+            : `Bước ${index + 1}/${this.routine.steps.length}`);
+
+        this.cueStep(`${round}:${index}`, step, stepRemaining);
+    }
+
+    /**
+     * Animate and sound a step once, when it begins
+     */
+    cueStep(key, step, stepRemaining) {
+        if (this.stepKey === key) return;
+
+        const firstStep = this.stepKey === null;
+        this.stepKey = key;
+
+        if (step && this.routine.kind === 'breathing') {
+            this.animateBreath(step.phase, stepRemaining);
+        }
+
+        // No cue when the guide opens mid-step or in a mirroring tab
+        if (firstStep || this.timer.follower || !this.timer.isRunning) return;
+
+        if (this.routine.kind === 'breathing') {
+            this.audioManager.playTickSound();
+        } else {
+            this.audioManager.playSound(step ? 'warning' : 'breakComplete');
+        }
+    }
+
+    /**
+     * Grow the circle while inhaling and shrink it while exhaling
+     */
+    animateBreath(phase, seconds) {
+        const circle = document.getElementById('breathingCircle');
+        if (!circle) return;
+
+        circle.style.transitionDuration = `${seconds}s`;
+        if (phase === 'inhale') {
+            circle.classList.add('expanded');
+        } else if (phase === 'exhale') {
+            circle.classList.remove('expanded');
+        }
+    }
+
+    setText(id, text) {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    }
+
+    formatSeconds(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * KeymapManager - User-editable keyboard shortcuts
+ * Bindings are stored as overrides of the defaults in settings.keyBindings
+ */
+
+import { KEYMAP_ACTIONS, comboFromEvent, formatCombo, resolveBindings, findConflicts } from '../utils/keymap.js';
+import { showNotification } from '../utils/notification.js';
+
+export class KeymapManager {
+    /**
+     * @param {Settings} settings
+     * @param {Function} runAction - called with an action id when its shortcut is pressed
+     */
+    constructor(settings, runAction) {
+        this.settings = settings;
+        this.runAction = runAction;
+        this.recordingAction = null; // action id waiting for a new key in the settings editor
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * Current bindings: actionId -> combo ('' = unbound)
+     */
+    getBindings() {
+        return resolveBindings(this.settings.keyBindings);
+    }
+
+    getAction(actionId) {
+        return KEYMAP_ACTIONS.find(action => action.id === actionId) || null;
+    }
+
+    /**
+     * Action bound to a combo (null when none)
+     */
+    findAction(combo) {
+        const bindings = this.getBindings();
+        return KEYMAP_ACTIONS.find(action => bindings[action.id] === combo) || null;
+    }
+
+    /**
+     * Readable shortcut of an action, '' when unbound
+     */
+    getShortcutLabel(actionId) {
+        const combo = this.getBindings()[actionId];
+        return combo ? formatCombo(combo) : '';
+    }
+
+    /**
+     * Bind a combo to an action ('' to unbind), moving it away from any action that had it
+     * @returns {Object|null} the action that lost the combo
+     */
+    setBinding(actionId, combo) {
+        const overrides = { ...this.settings.keyBindings };
+        const conflict = combo ? this.findAction(combo) : null;
+        if (conflict && conflict.id !== actionId) {
+            overrides[conflict.id] = '';
+        }
+
+        overrides[actionId] = combo;
+        const action = this.getAction(actionId);
+        if (action && action.key === combo) {
+            delete overrides[actionId];
+        }
+
+        this.settings.keyBindings = overrides;
+        this.settings.save();
+        return conflict && conflict.id !== actionId ? conflict : null;
+    }
+
+    /**
+     * Restore every default shortcut
+     */
+    resetToDefaults() {
+        this.settings.keyBindings = {};
+        this.settings.save();
+        this.render();
+        showNotification('Đã khôi phục phím tắt mặc định!', 'success');
+    }
+
+    /**
+     * Run the action bound to a key press
+     */
+    handleKeydown(e) {
+        if (this.recordingAction) {
+            this.recordKey(e);
+            return;
+        }
+        if (e.repeat || e.defaultPrevented) return;
+
+        const combo = comboFromEvent(e);
+        if (!combo) return;
+
+        // Plain keys belong to form fields; Ctrl shortcuts work everywhere
+        const typing = ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable;
+        if (typing && !combo.startsWith('ctrl+')) return;
+
+        const action = this.findAction(combo);
+        if (!action) return;
+
+        e.preventDefault();
+        this.runAction(action.id);
+    }
+
+    // ===== Settings editor =====
+
+    /**
+     * Wait for the next key press to rebind an action
+     */
+    startRecording(actionId) {
+        this.recordingAction = actionId;
+        this.render();
+    }
+
+    /**
+     * Apply the recorded key: Esc cancels, Backspace/Delete unbinds.
+     * A key already used by another action is only moved after confirmation.
+     */
+    recordKey(e) {
+        const combo = comboFromEvent(e);
+        if (!combo) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        const actionId = this.recordingAction;
+        this.recordingAction = null;
+
+        const newCombo = combo === 'backspace' || combo === 'delete' ? '' : combo;
+        const conflict = newCombo ? this.findAction(newCombo) : null;
+        const cancelled = combo === 'escape' || (conflict && conflict.id !== actionId &&
+            !confirm(`Phím ${formatCombo(newCombo)} đang dùng cho "${conflict.label}". Chuyển sang "${this.getAction(actionId).label}"?`));
+
+        if (!cancelled) {
+            this.setBinding(actionId, newCombo);
+        }
+        this.render();
+    }
+
+    /**
+     * Render the shortcut list in settings and the key hints around the app
+     */
+    render() {
+        this.renderHints();
+
+        const container = document.getElementById('keymapList');
+        if (!container) return;
+
+        const bindings = this.getBindings();
+        const conflicts = findConflicts(bindings);
+        const groups = [...new Set(KEYMAP_ACTIONS.map(action => action.group))];
+
+        container.innerHTML = groups.map(group => `
+            <div class="keymap-group">
+                <div class="keymap-group-title">${group}</div>
+                ${KEYMAP_ACTIONS.filter(action => action.group === group).map(action => {
+                    const combo = bindings[action.id];
+                    const recording = this.recordingAction === action.id;
+                    const conflicted = combo && conflicts[combo];
+                    return `
+                        <div class="keymap-row${conflicted ? ' conflict' : ''}">
+                            <span>${action.label}</span>
+                            <button type="button" class="keymap-key${recording ? ' recording' : ''}"
+                                onclick="window.keymapManager.startRecording('${action.id}')"
+                                title="${conflicted ? 'Trùng phím với thao tác khác' : 'Bấm để đổi phím'}">
+                                ${recording ? 'Nhấn phím… (Esc hủy, Del bỏ phím)' : `<kbd>${formatCombo(combo)}</kbd>`}
+                            </button>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Update <kbd data-shortcut="actionId"> hints (e.g. on the interruption buttons)
+     */
+    renderHints() {
+        document.querySelectorAll('[data-shortcut]').forEach(element => {
+            const label = this.getShortcutLabel(element.dataset.shortcut);
+            element.textContent = label;
+            element.style.display = label ? '' : 'none';
+        });
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import { storageManager } from './StorageManager.js';
+import { showNotification } from '../utils/notification.js';
 
 export class LibraryManager {
     constructor(backgroundManager = null, audioManager = null) {
@@ -431,7 +432,7 @@ export class LibraryManager {
         this.renderAnimations();
 
         // Show success notification
-        this.showNotification('Đã thêm animation thành công!', 'success');
+        showNotification('Đã thêm animation thành công!', 'success');
     }
 
     /**
@@ -454,7 +455,7 @@ export class LibraryManager {
         this.renderSounds();
 
         // Show success notification
-        this.showNotification('Đã thêm sound thành công!', 'success');
+        showNotification('Đã thêm sound thành công!', 'success');
     }
 
     /**
@@ -465,36 +466,19 @@ export class LibraryManager {
             if (type === 'animation') {
                 this.deleteAnimation(id).then(() => {
                     this.renderAnimations();
-                    this.showNotification('Đã xóa animation!', 'info');
+                    showNotification('Đã xóa animation!', 'info');
                 }).catch(err => {
                     alert('Lỗi khi xóa: ' + err.message);
                 });
             } else if (type === 'sound') {
                 this.deleteSound(id).then(() => {
                     this.renderSounds();
-                    this.showNotification('Đã xóa sound!', 'info');
+                    showNotification('Đã xóa sound!', 'info');
                 }).catch(err => {
                     alert('Lỗi khi xóa: ' + err.message);
                 });
             }
         }
     }
-
-    /**
-     * Show notification
-     */
-    showNotification(message, type = 'info') {
-        const notification = document.getElementById('notification');
-        const text = document.getElementById('notificationText');
-
-        if (!notification || !text) return;
-
-        text.textContent = message;
-        notification.className = `notification ${type} show`;
-
-        setTimeout(() => {
-            notification.classList.remove('show');
-        }, 3000);
-    }
 }
 
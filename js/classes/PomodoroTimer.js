@@ -1,55 +1,243 @@
 /**
  * PomodoroTimer - Core Timer Logic
- * Manages timer state, sessions, and statistics
+ * Manages timer state, sessions, and statistics.
+ * Display, sounds and notifications react to the events below (see TimerDisplay, TimerFeedback).
  */
 
 import { storageManager } from './StorageManager.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { getRecentWorkload, computeAdaptiveBreak } from '../utils/adaptiveBreak.js';
 
-export class PomodoroTimer {
-    constructor(settings, audioManager) {
+/**
+ * Timer events and their payloads:
+ * - start          { sessionType, restored }  a fresh session started
+ * - resume         { sessionType }            a paused session continued
+ * - pause          { sessionType, time }
+ * - tick           { sessionType, time }      every second while running (time < 0 in overtime)
+ * - complete       { session, restored }      the session record that was saved
+ * - sessionChange  { from, to, reason, minutes, overtimeMinutes, restored, completed }
+ *                  completed: the session it came from ran to its end (false when skipped or stopped early)
+ *                  reason: 'earnedBreak' | 'sequence' | 'longBreak' | 'shortBreak' | 'work' | 'settings' | 'quickTimer' | 'extension'
+ *                          | 'adaptive' (the upcoming adaptive break was recalculated, see breakReason)
+ * - skip           { sessionType, countUp, overtime }
+ * - reset          { sessionType }
+ * - overtime       { sessionType }            a work session passed zero and keeps counting
+ * - interruption   { interruption, count }
+ * - abandon        { session }                recorded as incomplete after exceeding the pause budget
+ * - pauseBudgetExceeded { minutes }
+ * - distraction    { seconds, count }         the user came back after leaving the page during a work session
+ * - warning        { secondsLeft, final }     the session is about to end (final: repeats in the last 10 seconds)
+ * - sync           {}                         a follower tab copied the leader tab's state
+ * - command        { name, args }             a follower tab asks the leader tab to run a command
+ */
+// Shorter hidden periods are tab-switching blips, not distractions
+const MIN_AWAY_SECONDS = 2;
+
+export const TIMER_EVENTS = [
+    'start', 'pause', 'resume', 'tick', 'complete', 'sessionChange', 'skip', 'reset',
+    'overtime', 'interruption', 'abandon', 'pauseBudgetExceeded', 'distraction', 'warning', 'sync', 'command'
+];
+
+export class PomodoroTimer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.follower - another tab owns the timer; mirror it and forward commands (see TabSync)
+     */
+    constructor(settings, taskManager = null, { follower = false, studyTagManager = null } = {}) {
+        super(TIMER_EVENTS);
         this.settings = settings;
-        this.audioManager = audioManager;
+        this.taskManager = taskManager;
+        this.studyTagManager = studyTagManager;
+        this.follower = follower;
 
         // Timer state
-        this.currentTime = 0; // in seconds
+        this.currentTime = 0; // remaining seconds (derived from endsAt while running; negative in overtime)
+        this.sessionLength = 0; // planned length of the current session in seconds
+        this.endsAt = null; // epoch ms when the running session reaches zero
+        this.countUp = false; // true for Flowtime work sessions, which count up until stopped
+        this.countUpFrom = null; // epoch ms matching zero elapsed time of a running count-up session
+        this.inOvertime = false; // work session passed zero and keeps counting until ended
+        this.sequenceIndex = 0; // position within a custom cycle sequence
+        this.cyclePosition = 0; // work sessions that ran (completed or ended early) since the last long break
+        this.lengthOverride = null; // planned length in seconds that replaces the settings (e.g. earned Flowtime break)
+        this.breakReason = null; // why the current adaptive break has its length, e.g. "phiên dài 50 phút"
+        this.isExtension = false; // extra minutes for the session that just ended ("+5 phút")
+        this.lastEnded = null; // { type, sequenceIndex, cyclePosition, endedAt } of the last finished session
+        this.startedAt = null; // epoch ms when the current session was first started
+        this.interruptions = []; // interruptions logged during the current work session
+        this.pauses = []; // [{ pausedAt, resumedAt }] epoch ms; resumedAt is null while paused
+        this.awayPeriods = []; // [{ hiddenAt, returnedAt }] epoch ms the page was hidden during work
+        this.pauseBudgetTimeout = null;
+        this.pauseBudgetWarned = false;
         this.isRunning = false;
         this.isPaused = false;
         this.currentSession = 'work'; // 'work', 'shortBreak', 'longBreak'
         this.completedPomodoros = 0;
         this.totalWorkTime = 0;
         this.totalBreakTime = 0;
+        this.totalPausedSeconds = 0;
         this.currentStreak = 0;
         this.sessionHistory = [];
-        this.startTime = null;
         this.timerInterval = null;
+    }
 
-        // Load saved state
-        this.loadState();
+    /**
+     * Load saved state from storage.
+     * Call it once the listeners are attached: it completes the sessions that ended while the page was closed.
+     */
+    loadState() {
+        this.applyStatistics(storageManager.getTimerState());
+        this.restoreActiveSession();
+    }
 
-        // UI elements
-        this.timeDisplay = document.getElementById('timeDisplay');
-        this.sessionTypeDisplay = document.getElementById('sessionType');
-        this.sessionCountDisplay = document.getElementById('sessionCount');
-        this.progressCircle = document.getElementById('progressCircle');
-        this.startBtn = document.getElementById('startBtn');
-        this.pauseBtn = document.getElementById('pauseBtn');
+    /**
+     * Copy saved statistics into the timer
+     */
+    applyStatistics(savedState) {
+        if (!savedState) return;
+
+        this.completedPomodoros = savedState.completedPomodoros || 0;
+        this.totalWorkTime = savedState.totalWorkTime || 0;
+        this.totalBreakTime = savedState.totalBreakTime || 0;
+        this.totalPausedSeconds = savedState.totalPausedSeconds || 0;
+        this.currentStreak = savedState.currentStreak || 0;
+        this.sessionHistory = savedState.sessionHistory || [];
     }
 
     /**
-     * Load saved state from storage
+     * Restore the running/paused session saved before a reload or crash.
+     * Falls back to a fresh work session when nothing was saved.
+     * @param {Object} active - saved session (see saveActiveState)
      */
-    loadState() {
-        const savedState = storageManager.getTimerState();
-        if (savedState) {
-            this.completedPomodoros = savedState.completedPomodoros || 0;
-            this.totalWorkTime = savedState.totalWorkTime || 0;
-            this.totalBreakTime = savedState.totalBreakTime || 0;
-            this.currentStreak = savedState.currentStreak || 0;
-            this.sessionHistory = savedState.sessionHistory || [];
+    restoreActiveSession(active = storageManager.getActiveTimer()) {
+        // Sessions saved before the cycle position was tracked continue from the completed count
+        this.cyclePosition = active?.cyclePosition ?? this.completedPomodoros % this.settings.longBreakInterval;
+
+        if (!active || !['work', 'shortBreak', 'longBreak'].includes(active.currentSession)) {
+            if (this.usesSequence()) {
+                this.applySequenceStep(0);
+            }
+            this.setSessionTime();
+            return;
         }
 
-        // Always start with work session at default duration
-        this.setSessionTime();
+        this.currentSession = active.currentSession;
+        this.sessionLength = active.sessionLength || this.getSessionDuration() * 60;
+        this.startedAt = active.startedAt || null;
+        this.interruptions = Array.isArray(active.interruptions) ? active.interruptions : [];
+        this.pauses = Array.isArray(active.pauses) ? active.pauses : [];
+        this.awayPeriods = Array.isArray(active.awayPeriods) ? active.awayPeriods : [];
+        this.lengthOverride = active.lengthOverride || null;
+        this.breakReason = active.breakReason || null;
+        this.sequenceIndex = active.sequenceIndex || 0;
+        this.isExtension = !!active.isExtension;
+        this.lastEnded = active.lastEnded || null;
+        this.countUp = !!active.countUp;
+        this.inOvertime = !!active.inOvertime;
+
+        if (this.countUp) {
+            if (active.countUpFrom) {
+                this.countUpFrom = active.countUpFrom;
+                this.isRunning = true;
+                this.currentTime = this.readClock();
+                this.startTicking();
+            } else if (typeof active.pausedElapsed === 'number') {
+                this.currentTime = active.pausedElapsed;
+                this.isPaused = true;
+                this.schedulePauseBudgetCheck();
+            } else {
+                this.currentTime = 0;
+            }
+        } else if (active.endsAt) {
+            this.endsAt = active.endsAt;
+            this.isRunning = true;
+            // Only the leader tab records sessions
+            if (!this.follower) {
+                this.catchUpElapsedSessions();
+            }
+
+            if (this.isRunning) {
+                this.currentTime = this.readClock();
+                this.startTicking();
+            }
+        } else if (typeof active.pausedRemaining === 'number') {
+            this.currentTime = Math.min(active.pausedRemaining, this.sessionLength);
+            this.isPaused = true;
+            this.schedulePauseBudgetCheck();
+        } else {
+            this.currentTime = this.sessionLength;
+        }
+
+        // The page was reloaded or reopened while away; the user is back now
+        if (!this.follower && !document.hidden) {
+            this.closeAwayPeriod(Date.now());
+        }
+    }
+
+    /**
+     * Record every session whose deadline passed while the page was closed,
+     * following auto-start chains so each one ends at its real time.
+     * A session already in overtime keeps counting; overtime never starts while closed.
+     */
+    catchUpElapsedSessions() {
+        while (this.isRunning && !this.inOvertime && this.endsAt && this.endsAt <= Date.now()) {
+            const endedAt = this.endsAt;
+            this.currentTime = 0;
+            this.complete(endedAt, true);
+
+            // Guard against zero-length sessions looping forever
+            if (this.endsAt === endedAt) break;
+        }
+    }
+
+    /**
+     * Follower tabs show the leader tab's session and statistics instead of running their own
+     * @param {Object} active - the leader's saved session
+     * @param {Object} state - the leader's saved statistics
+     */
+    applyMirroredState(active, state) {
+        this.applyStatistics(state);
+        this.stopClock();
+        this.restoreActiveSession(active);
+        this.emit('sync', {});
+    }
+
+    /**
+     * Take over the timer after the leader tab closed; storage holds its last state
+     */
+    becomeLeader() {
+        if (!this.follower) return;
+
+        this.follower = false;
+        this.stopClock();
+        this.loadState();
+        this.emit('sync', {});
+    }
+
+    /**
+     * In a follower tab, hand a command to the leader tab instead of running it here
+     * @returns {boolean} whether the command was forwarded
+     */
+    forwardToLeader(name, args = []) {
+        if (!this.follower) return false;
+
+        this.emit('command', { name, args });
+        return true;
+    }
+
+    /**
+     * Stop the running clock without recording anything
+     */
+    stopClock() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+        this.clearPauseBudgetCheck();
+        this.isRunning = false;
+        this.isPaused = false;
+        this.endsAt = null;
+        this.countUpFrom = null;
     }
 
     /**
@@ -60,60 +248,146 @@ export class PomodoroTimer {
             completedPomodoros: this.completedPomodoros,
             totalWorkTime: this.totalWorkTime,
             totalBreakTime: this.totalBreakTime,
+            totalPausedSeconds: this.totalPausedSeconds,
             currentStreak: this.currentStreak,
             sessionHistory: this.sessionHistory
         };
         storageManager.saveTimerState(state);
     }
 
+    /**
+     * Save the current session as absolute deadlines so it survives reloads
+     */
+    saveActiveState() {
+        storageManager.saveActiveTimer({
+            currentSession: this.currentSession,
+            sessionLength: this.sessionLength,
+            endsAt: this.isRunning ? this.endsAt : null,
+            pausedRemaining: this.isPaused && !this.countUp ? this.currentTime : null,
+            countUp: this.countUp,
+            countUpFrom: this.isRunning ? this.countUpFrom : null,
+            pausedElapsed: this.isPaused && this.countUp ? this.currentTime : null,
+            lengthOverride: this.lengthOverride,
+            breakReason: this.breakReason,
+            inOvertime: this.inOvertime,
+            sequenceIndex: this.sequenceIndex,
+            cyclePosition: this.cyclePosition,
+            isExtension: this.isExtension,
+            lastEnded: this.lastEnded,
+            startedAt: this.startedAt,
+            interruptions: this.interruptions,
+            pauses: this.pauses,
+            awayPeriods: this.awayPeriods,
+            savedAt: Date.now()
+        });
+    }
+
     /**
      * Start timer
      */
     start() {
-        if (this.currentTime <= 0) {
+        if (this.forwardToLeader('start')) return;
+        this.startAt(Date.now());
+    }
+
+    /**
+     * Start (or resume) the timer as if it had been started at the given time
+     * @param {boolean} restored - true when replaying an auto-start that happened while the page was closed
+     */
+    startAt(timestamp, restored = false) {
+        const resuming = this.isPaused;
+
+        if (!this.countUp && !this.inOvertime && this.currentTime <= 0) {
             this.setSessionTime();
         }
 
+        // Close the open pause, if resuming
+        const openPause = this.pauses[this.pauses.length - 1];
+        if (openPause && !openPause.resumedAt) {
+            openPause.resumedAt = timestamp;
+        }
+        this.clearPauseBudgetCheck();
+
+        this.isRunning = true;
+        this.isPaused = false;
+        if (this.countUp) {
+            this.countUpFrom = timestamp - this.currentTime * 1000;
+            this.endsAt = null;
+        } else {
+            this.endsAt = timestamp + this.currentTime * 1000;
+        }
+        if (!this.startedAt) {
+            this.startedAt = timestamp;
+        }
+
+        this.startTicking();
+        this.saveActiveState();
+
+        if (resuming) {
+            this.emit('resume', { sessionType: this.currentSession });
+        } else {
+            this.emit('start', { sessionType: this.currentSession, restored });
+        }
+    }
+
+    /**
+     * (Re)start the display interval
+     */
+    startTicking() {
         // Clear any existing interval
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
 
-        this.isRunning = true;
-        this.isPaused = false;
-        this.startTime = Date.now();
-
         this.timerInterval = setInterval(() => {
             this.tick();
         }, 1000);
-
-        this.updateControls();
-        this.showNotification('Timer đã bắt đầu!', 'success');
     }
 
     /**
      * Pause timer
      */
     pause() {
+        if (this.forwardToLeader('pause')) return;
+
+        if (this.isRunning) {
+            this.currentTime = this.readClock();
+            this.pauses.push({ pausedAt: Date.now(), resumedAt: null });
+        }
+
         this.isRunning = false;
         this.isPaused = true;
+        this.endsAt = null;
+        this.countUpFrom = null;
 
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
 
-        this.updateControls();
-        this.showNotification('Timer đã tạm dừng', 'warning');
+        this.schedulePauseBudgetCheck();
+        this.saveActiveState();
+        this.emit('pause', { sessionType: this.currentSession, time: this.currentTime });
     }
 
     /**
      * Reset timer to current session duration
      */
     reset() {
+        if (this.forwardToLeader('reset')) return;
+
         this.isRunning = false;
         this.isPaused = false;
+        this.endsAt = null;
+        this.countUpFrom = null;
+        this.startedAt = null;
+        this.interruptions = [];
+        this.pauses = [];
+        this.awayPeriods = [];
+        this.isExtension = false;
+        this.pauseBudgetWarned = false;
+        this.clearPauseBudgetCheck();
 
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
@@ -121,121 +395,619 @@ export class PomodoroTimer {
         }
 
         this.setSessionTime();
-        this.updateDisplay();
-        this.updateControls();
-
-        this.showNotification('Timer đã được đặt lại', 'info');
+        this.saveActiveState();
+        this.emit('reset', { sessionType: this.currentSession });
     }
 
     /**
      * Skip to next session
      */
     skip() {
+        if (this.forwardToLeader('skip')) return;
+
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
 
+        if (this.isRunning) {
+            this.currentTime = this.readClock();
+        }
         this.isRunning = false;
-        this.currentTime = 0;
+        this.isPaused = false;
 
-        this.complete();
-        this.showNotification('Đã bỏ qua phiên hiện tại', 'info');
+        const skipped = { sessionType: this.currentSession, countUp: this.countUp, overtime: this.inOvertime };
+        if (this.startedAt) {
+            this.complete();
+        } else {
+            // A session that never started leaves no history record and can't be extended
+            this.endsAt = null;
+            this.countUpFrom = null;
+            this.lastEnded = null;
+            this.moveToNextSession(Date.now(), false, null, 0, { started: false, completed: false });
+            if (!this.isRunning) {
+                this.saveActiveState();
+            }
+        }
+        this.emit('skip', skipped);
     }
 
     /**
      * Timer tick (every second)
      */
     tick() {
-        this.currentTime--;
+        if (!this.isRunning) return;
 
-        if (this.currentTime <= 0) {
-            this.complete();
+        // Derive the time from the wall clock so throttled or skipped ticks never drift
+        const previousTime = this.currentTime;
+        this.currentTime = this.readClock();
+        this.checkEndWarning(previousTime);
+
+        // Follower tabs wait for the leader to end the session
+        if (!this.follower && !this.countUp && !this.inOvertime && this.currentTime <= 0) {
+            if (this.canEnterOvertime()) {
+                this.enterOvertime();
+            } else {
+                this.complete(this.endsAt);
+            }
+        }
+
+        this.emit('tick', { sessionType: this.currentSession, time: this.currentTime });
+    }
+
+    /**
+     * Warn once when the countdown crosses the warning threshold,
+     * then every second of the last 10 seconds if repeats are enabled
+     * @param {number} previousTime - clock value at the previous tick
+     */
+    checkEndWarning(previousTime) {
+        if (!this.settings.enableEndWarning || this.follower || this.countUp || this.inOvertime) return;
+
+        const secondsLeft = this.currentTime;
+        if (secondsLeft <= 0 || secondsLeft >= previousTime) return;
+
+        const threshold = this.settings.endWarningSeconds;
+        if (previousTime > threshold && secondsLeft <= threshold) {
+            this.emit('warning', { secondsLeft, final: false });
+        } else if (this.settings.endWarningRepeat && secondsLeft <= 10) {
+            this.emit('warning', { secondsLeft, final: true });
+        }
+    }
+
+    /**
+     * Whether the current session keeps counting after reaching zero
+     */
+    canEnterOvertime() {
+        return this.settings.enableOvertime && this.currentSession === 'work';
+    }
+
+    /**
+     * Flip a finished work session into overtime (+mm:ss) until the user ends it
+     */
+    enterOvertime() {
+        this.inOvertime = true;
+        this.currentTime = this.readClock();
+        this.saveActiveState();
+        this.emit('overtime', { sessionType: this.currentSession });
+    }
+
+    /**
+     * Current clock value: remaining seconds for countdowns,
+     * elapsed seconds for count-up (Flowtime) sessions
+     */
+    readClock(now = Date.now()) {
+        if (this.countUp) {
+            if (!this.countUpFrom) return this.currentTime;
+            return Math.max(0, Math.floor((now - this.countUpFrom) / 1000));
+        }
+        if (this.inOvertime && this.endsAt) {
+            return -Math.floor(Math.max(0, now - this.endsAt) / 1000);
         }
+        return this.getRemainingSeconds(now);
+    }
 
-        this.updateDisplay();
+    /**
+     * Seconds left until the running session's deadline
+     */
+    getRemainingSeconds(now = Date.now()) {
+        if (!this.endsAt) return this.currentTime;
+        return Math.max(0, Math.ceil((this.endsAt - now) / 1000));
     }
 
     /**
      * Complete current session
+     * @param {number} completedAt - epoch ms the session ended (deadline when it ran out)
+     * @param {boolean} restored - true when catching up on sessions that ended while the page was closed
      */
-    complete() {
+    complete(completedAt = Date.now(), restored = false) {
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
 
         this.isRunning = false;
+        this.isPaused = false;
+        this.endsAt = null;
+        this.countUpFrom = null;
+
+        this.lastEnded = {
+            type: this.currentSession,
+            sequenceIndex: this.sequenceIndex,
+            cyclePosition: this.cyclePosition,
+            endedAt: completedAt
+        };
+        const { actualDuration, session } = this.recordSession(completedAt);
+        this.emit('complete', { session, restored });
+
+        // Flowtime earns a break proportional to the focused time
+        const earnedBreak = this.countUp ? this.settings.getFlowtimeBreakMinutes(actualDuration / 60) : null;
+
+        // Move to next session
+        this.moveToNextSession(completedAt, restored, earnedBreak, session.overtimeDuration || 0, { completed: session.completed });
+        if (!this.isRunning) {
+            this.saveActiveState();
+        }
+    }
 
-        // Calculate actual duration
-        const totalSessionTime = this.getSessionDuration() * 60;
-        const actualDuration = totalSessionTime - this.currentTime;
+    /**
+     * Save the current session to history and clear its per-session data
+     * @param {number} completedAt - epoch ms the session ended
+     * @param {Object} extra - additional fields for the record (e.g. abandoned)
+     */
+    recordSession(completedAt, extra = {}) {
+        // Calculate actual duration (count-up sessions end when the user stops them)
+        const wasCountUp = this.countUp;
+        const actualDuration = wasCountUp ? this.currentTime : this.sessionLength - this.currentTime;
         const durationInMinutes = Math.round(actualDuration / 60);
 
+        // A session ended while paused closes its last pause
+        const openPause = this.pauses[this.pauses.length - 1];
+        if (openPause && !openPause.resumedAt) {
+            openPause.resumedAt = completedAt;
+        }
+        this.clearPauseBudgetCheck();
+
         // Save session to history
         const session = {
-            id: Date.now(),
+            id: completedAt,
             type: this.currentSession,
             duration: durationInMinutes,
-            completed: this.currentTime <= 0,
-            timestamp: new Date().toISOString(),
-            workDuration: this.settings.workDuration
+            completed: wasCountUp ? actualDuration >= 60 : this.currentTime <= 0,
+            timestamp: new Date(completedAt).toISOString(),
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            workDuration: this.settings.workDuration,
+            pauses: this.pauses.map(p => ({
+                pausedAt: new Date(p.pausedAt).toISOString(),
+                resumedAt: new Date(p.resumedAt).toISOString()
+            })),
+            pausedSeconds: this.getPausedSeconds(completedAt),
+            ...extra
         };
+        if (!wasCountUp) {
+            session.plannedDuration = Math.round(this.sessionLength / 60);
+            if (this.currentTime < 0) {
+                session.overtimeDuration = Math.round(-this.currentTime / 60);
+            }
+        }
+        if (this.currentSession === 'work') {
+            session.interruptions = this.interruptions;
+
+            // A session that ended while the page was hidden closes its last away period
+            this.closeAwayPeriod(completedAt);
+            session.awayCount = this.awayPeriods.length;
+            session.awaySeconds = this.getAwaySeconds(completedAt);
+        }
+        if (wasCountUp) {
+            session.mode = 'flowtime';
+        }
+        if (this.isExtension) {
+            session.extension = true;
+        }
+        this.startedAt = null;
+        this.isExtension = false;
+        this.interruptions = [];
+        this.pauses = [];
+        this.awayPeriods = [];
+        this.pauseBudgetWarned = false;
+
+        // Attribute work sessions to the active task
+        const activeTask = this.currentSession === 'work' ? this.taskManager?.getActiveTask() : null;
+        if (activeTask) {
+            session.taskId = activeTask.id;
+            session.taskName = activeTask.name;
+            if (session.completed && !session.extension) {
+                this.taskManager.recordPomodoro(activeTask.id).catch(error => {
+                    console.error('Error recording task pomodoro:', error);
+                });
+            }
+        }
+
+        // Attribute work sessions to the active course or daily activity
+        if (this.currentSession === 'work' && this.studyTagManager) {
+            Object.assign(session, this.studyTagManager.getSessionFields());
+        }
 
         const newState = storageManager.addSession(session);
         this.completedPomodoros = newState.completedPomodoros;
         this.totalWorkTime = newState.totalWorkTime;
         this.totalBreakTime = newState.totalBreakTime;
+        this.totalPausedSeconds = newState.totalPausedSeconds || 0;
         this.currentStreak = newState.currentStreak;
         this.sessionHistory = newState.sessionHistory;
 
-        // Play notification sound
-        if (this.currentSession === 'work') {
-            this.audioManager.playNotification('workComplete');
-        } else {
-            this.audioManager.playNotification('breakComplete');
+        return { session, actualDuration };
+    }
+
+    /**
+     * Add details to a recorded session (e.g. reflection rating and note)
+     */
+    updateSessionRecord(id, changes) {
+        if (this.forwardToLeader('updateSessionRecord', [id, changes])) return;
+
+        const state = storageManager.updateSession(id, changes);
+        if (state) {
+            this.sessionHistory = state.sessionHistory;
         }
 
-        // Move to next session
-        this.moveToNextSession();
+        // A focus rating given before the break starts can still change its length
+        if (changes.focusRating && this.canRecalculateBreak()) {
+            const before = this.sessionLength;
+            this.applyAdaptiveBreak();
+            this.saveActiveState();
+            if (this.sessionLength !== before) {
+                this.emit('sessionChange', {
+                    from: this.currentSession,
+                    to: this.currentSession,
+                    reason: 'adaptive',
+                    minutes: this.sessionLengthMinutes(),
+                    overtimeMinutes: 0,
+                    restored: false
+                });
+            }
+        }
+    }
+
+    /**
+     * Total paused seconds of the current session, counting an open pause up to `now`
+     */
+    getPausedSeconds(now = Date.now()) {
+        const ms = this.pauses.reduce((sum, p) => sum + ((p.resumedAt || now) - p.pausedAt), 0);
+        return Math.max(0, Math.round(ms / 1000));
+    }
+
+    /**
+     * Seconds of pause budget left for the current work session (null when unlimited)
+     */
+    getPauseBudgetRemaining(now = Date.now()) {
+        if (this.currentSession !== 'work' || !(this.settings.pauseBudgetMinutes > 0)) return null;
+        return this.settings.pauseBudgetMinutes * 60 - this.getPausedSeconds(now);
+    }
+
+    /**
+     * Check the pause budget once the current pause would exceed it
+     */
+    schedulePauseBudgetCheck() {
+        this.clearPauseBudgetCheck();
+        if (this.follower) return;
+
+        const remaining = this.isPaused ? this.getPauseBudgetRemaining() : null;
+        if (remaining === null) return;
+
+        this.pauseBudgetTimeout = setTimeout(() => this.checkPauseBudget(), Math.max(0, remaining) * 1000);
+    }
+
+    clearPauseBudgetCheck() {
+        if (this.pauseBudgetTimeout) {
+            clearTimeout(this.pauseBudgetTimeout);
+            this.pauseBudgetTimeout = null;
+        }
+    }
+
+    /**
+     * Warn about or abandon a work session paused longer than the budget
+     */
+    checkPauseBudget() {
+        this.pauseBudgetTimeout = null;
+        if (this.follower) return;
+
+        const remaining = this.isPaused ? this.getPauseBudgetRemaining() : null;
+        if (remaining === null || remaining > 0) return;
+
+        if (this.settings.pauseBudgetAction === 'abandon') {
+            // The session ended the moment the budget ran out
+            this.abandon(Date.now() + remaining * 1000);
+        } else if (!this.pauseBudgetWarned) {
+            this.pauseBudgetWarned = true;
+            this.emit('pauseBudgetExceeded', { minutes: this.settings.pauseBudgetMinutes });
+        }
+    }
+
+    /**
+     * Abandon the current session: record it as incomplete and start it over
+     */
+    abandon(abandonedAt = Date.now()) {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
 
-        this.updateDisplay();
-        this.updateControls();
+        this.isRunning = false;
+        this.isPaused = false;
+        this.endsAt = null;
+        this.countUpFrom = null;
+
+        const { session } = this.recordSession(abandonedAt, { completed: false, abandoned: true });
+
+        this.setSessionTime();
+        this.saveActiveState();
+        this.emit('abandon', { session });
     }
 
     /**
      * Move to next session type
+     * @param {number} overtimeMinutes - overtime of the finished work session, used to adjust the break
+     * @param {Object} options
+     * @param {boolean} options.started - the finished session ran at all (skipped before starting: false)
+     * @param {boolean} options.completed - the finished session ran to its end
      */
-    moveToNextSession() {
-        if (this.currentSession === 'work') {
-            // Check if it's time for long break
-            const completedInCycle = this.completedPomodoros % this.settings.longBreakInterval;
-            if (completedInCycle === 0 && this.completedPomodoros > 0) {
+    moveToNextSession(completedAt = Date.now(), restored = false, earnedBreak = null, overtimeMinutes = 0, { started = true, completed = true } = {}) {
+        const from = this.currentSession;
+        let reason;
+        this.lengthOverride = null;
+        this.breakReason = null;
+
+        if (this.currentSession === 'work' && earnedBreak !== null) {
+            this.currentSession = 'shortBreak';
+            this.lengthOverride = earnedBreak * 60;
+            reason = 'earnedBreak';
+        } else if (this.usesSequence()) {
+            this.applySequenceStep(this.sequenceIndex + 1);
+            reason = 'sequence';
+        } else if (this.currentSession === 'work') {
+            // Check if it's time for long break (work sessions skipped before starting don't count)
+            if (started) this.cyclePosition++;
+            if (this.cyclePosition >= this.settings.longBreakInterval) {
                 this.currentSession = 'longBreak';
-                this.showNotification('Nghỉ dài! Bạn đã hoàn thành một chu kỳ 🎉', 'success');
+                this.cyclePosition = 0;
             } else {
                 this.currentSession = 'shortBreak';
-                this.showNotification('Nghỉ ngắn! Thư giãn nhé 😊', 'info');
             }
+            reason = this.currentSession;
         } else {
             this.currentSession = 'work';
-            this.showNotification('Trở lại làm việc! Tập trung nào 💪', 'info');
+            reason = 'work';
         }
 
         this.setSessionTime();
+        // Adaptive breaks already count overtime as part of the work done
+        const adaptive = (reason === 'shortBreak' || reason === 'longBreak') && this.applyAdaptiveBreak(completedAt);
+        const breakAdjusted = !adaptive && this.currentSession !== 'work' && overtimeMinutes > 0 &&
+            this.adjustBreakForOvertime(overtimeMinutes);
+
+        this.emit('sessionChange', {
+            from,
+            to: this.currentSession,
+            reason,
+            minutes: this.sessionLengthMinutes(),
+            overtimeMinutes: breakAdjusted ? overtimeMinutes : 0,
+            restored,
+            completed
+        });
 
         // Auto-start if enabled
         if ((this.currentSession === 'work' && this.settings.autoStartPomodoros) ||
             (this.currentSession !== 'work' && this.settings.autoStartBreaks)) {
-            setTimeout(() => this.start(), 2000);
+            if (restored) {
+                // The next session started back then, without the UI delay
+                this.startAt(completedAt, true);
+            } else {
+                setTimeout(() => this.start(), 2000);
+            }
+        }
+    }
+
+    /**
+     * Go back to the session that just ended and run it for a few more minutes.
+     * Only allowed before the next session has really started.
+     * @returns {boolean} whether the extension started
+     */
+    extendLastSession(minutes = 5) {
+        if (this.forwardToLeader('extendLastSession', [minutes])) return true;
+        if (!this.lastEnded) return false;
+        if (this.startedAt && Date.now() - this.startedAt > 60 * 1000) return false;
+
+        this.stopClock();
+        this.startedAt = null;
+        this.interruptions = [];
+        this.pauses = [];
+        this.awayPeriods = [];
+
+        const from = this.currentSession;
+        this.currentSession = this.lastEnded.type;
+        this.sequenceIndex = this.lastEnded.sequenceIndex;
+        this.cyclePosition = this.lastEnded.cyclePosition ?? this.cyclePosition;
+        this.lengthOverride = minutes * 60;
+        this.breakReason = null;
+        this.isExtension = true;
+        this.lastEnded = null;
+        this.setSessionTime();
+
+        this.emit('sessionChange', {
+            from,
+            to: this.currentSession,
+            reason: 'extension',
+            minutes: this.sessionLengthMinutes(),
+            overtimeMinutes: 0,
+            restored: false
+        });
+        this.start();
+        return true;
+    }
+
+    /**
+     * Size the current break from the recent workload when adaptive breaks are on
+     * @param {number} now - epoch ms the break begins
+     * @returns {boolean} whether the break length was computed
+     */
+    applyAdaptiveBreak(now = Date.now()) {
+        this.breakReason = null;
+        if (this.settings.breakMode !== 'adaptive' || this.currentSession === 'work') return false;
+
+        const { minutes, reasons } = computeAdaptiveBreak({
+            baseMinutes: this.getSessionDuration(),
+            workDuration: this.settings.workDuration,
+            longBreak: this.currentSession === 'longBreak',
+            workload: getRecentWorkload(this.sessionHistory, now),
+            min: this.settings.adaptiveBreakMin,
+            max: this.settings.adaptiveBreakMax
+        });
+
+        this.lengthOverride = minutes * 60;
+        this.breakReason = reasons.length > 0 ? reasons.join(', ') : null;
+        this.setSessionTime();
+        return true;
+    }
+
+    /**
+     * Whether the upcoming break is adaptive and hasn't started yet
+     */
+    canRecalculateBreak() {
+        return this.settings.breakMode === 'adaptive' && this.currentSession !== 'work' &&
+            !this.isRunning && !this.isPaused && !this.startedAt &&
+            !this.usesSequence() && this.settings.timerMode !== 'flowtime';
+    }
+
+    /**
+     * Shorten (absorb) or lengthen (extend) the upcoming break after overtime
+     * @returns {boolean} whether the break length changed
+     */
+    adjustBreakForOvertime(overtimeMinutes) {
+        const mode = this.settings.overtimeBreakMode;
+        if (mode !== 'absorb' && mode !== 'extend') return false;
+
+        const breakMinutes = Math.round(this.sessionLength / 60);
+        let adjusted;
+        if (mode === 'absorb') {
+            adjusted = Math.max(1, breakMinutes - overtimeMinutes);
+        } else {
+            // Keep the usual work/break ratio for the extra minutes
+            const ratio = breakMinutes / (this.settings.workDuration || 25);
+            adjusted = breakMinutes + Math.max(1, Math.round(overtimeMinutes * ratio));
+        }
+
+        this.lengthOverride = adjusted * 60;
+        this.setSessionTime();
+        return true;
+    }
+
+    /**
+     * Whether the timer follows the user-defined cycle sequence
+     */
+    usesSequence() {
+        return this.settings.timerMode !== 'flowtime' && this.settings.hasCustomSequence();
+    }
+
+    /**
+     * Jump to a step of the custom sequence (wraps around)
+     */
+    applySequenceStep(index) {
+        const sequence = this.settings.cycleSequence;
+        this.sequenceIndex = index >= 0 && index < sequence.length ? index : 0;
+
+        const step = sequence[this.sequenceIndex];
+        this.currentSession = step.type;
+        this.lengthOverride = step.duration * 60;
+        this.breakReason = null;
+    }
+
+    /**
+     * Get the current sequence step (null for the classic rotation)
+     */
+    getSequenceStep() {
+        return this.usesSequence() ? this.settings.cycleSequence[this.sequenceIndex] || null : null;
+    }
+
+    /**
+     * Planned length of the current session in whole minutes
+     */
+    sessionLengthMinutes() {
+        if (this.countUp) return 0;
+        return Math.round((this.sessionLength || this.getSessionDuration() * 60) / 60);
+    }
+
+    /**
+     * Re-apply settings to an idle timer (after saving settings or loading a preset)
+     */
+    refreshSessionFromSettings() {
+        if (this.forwardToLeader('refreshSessionFromSettings')) return;
+
+        // A started session (running or paused) keeps its length and pause budget; the settings apply from the next one
+        if (this.isRunning || this.isPaused) return;
+
+        if (this.usesSequence()) {
+            this.applySequenceStep(this.sequenceIndex);
+        } else if (this.settings.timerMode !== 'flowtime') {
+            this.lengthOverride = null;
         }
+
+        const from = this.currentSession;
+        this.setSessionTime();
+        if (!this.usesSequence() && this.settings.timerMode !== 'flowtime') {
+            this.applyAdaptiveBreak();
+        }
+        this.saveActiveState();
+        this.emit('sessionChange', {
+            from,
+            to: this.currentSession,
+            reason: 'settings',
+            minutes: this.sessionLengthMinutes(),
+            overtimeMinutes: 0,
+            restored: false
+        });
+    }
+
+    /**
+     * Whether an interruption can be logged (a work session has been started)
+     */
+    canLogInterruption() {
+        return this.currentSession === 'work' && (this.isRunning || this.isPaused);
+    }
+
+    /**
+     * Log an interruption on the current work session
+     * @param {'internal'|'external'} type
+     * @param {string} note - optional free-text note
+     */
+    logInterruption(type, note = '') {
+        if (!this.canLogInterruption()) return false;
+        if (this.forwardToLeader('logInterruption', [type, note])) return true;
+
+        const interruption = {
+            type: type === 'external' ? 'external' : 'internal',
+            note: (note || '').replace(/[<>]/g, '').trim(),
+            timestamp: new Date().toISOString()
+        };
+        this.interruptions.push(interruption);
+
+        this.saveActiveState();
+        this.emit('interruption', { interruption, count: this.interruptions.length });
+        return true;
     }
 
     /**
      * Set timer to current session duration
      */
     setSessionTime() {
-        this.currentTime = this.getSessionDuration() * 60;
+        this.inOvertime = false;
+        this.countUp = this.currentSession === 'work' && this.settings.timerMode === 'flowtime';
+        if (this.countUp) {
+            this.sessionLength = 0;
+            this.currentTime = 0;
+            return;
+        }
+
+        this.sessionLength = this.lengthOverride || this.getSessionDuration() * 60;
+        this.currentTime = this.sessionLength;
     }
 
     /**
@@ -249,133 +1021,115 @@ export class PomodoroTimer {
      * Get current session name
      */
     getSessionName() {
-        return this.settings.getSessionName(this.currentSession);
+        const step = this.getSequenceStep();
+        const name = step?.label || this.settings.getSessionName(this.currentSession);
+        return this.countUp ? `${name} (Flowtime)` : name;
     }
 
     /**
      * Set quick timer
      */
     setQuickTimer(minutes, sessionType = 'work') {
+        if (this.forwardToLeader('setQuickTimer', [minutes, sessionType])) return;
+
         this.reset();
-        this.currentTime = minutes * 60;
+        const from = this.currentSession;
         this.currentSession = sessionType;
-        this.updateDisplay();
-        this.showNotification(`Đặt timer ${minutes} phút`, 'success');
+        this.countUp = false;
+        this.lengthOverride = null;
+        this.breakReason = null;
+        this.sessionLength = minutes * 60;
+        this.currentTime = this.sessionLength;
+        this.saveActiveState();
+        this.emit('sessionChange', {
+            from,
+            to: this.currentSession,
+            reason: 'quickTimer',
+            minutes,
+            overtimeMinutes: 0,
+            restored: false
+        });
     }
 
     /**
-     * Update display
+     * Handle visibility change (tab switching)
+     * Background tabs throttle intervals, so resync with the deadline on return
      */
-    updateDisplay() {
-        const minutes = Math.floor(this.currentTime / 60);
-        const seconds = this.currentTime % 60;
-        const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-
-        if (this.timeDisplay) {
-            this.timeDisplay.textContent = timeString;
-        }
-
-        if (this.sessionTypeDisplay) {
-            this.sessionTypeDisplay.textContent = this.getSessionName();
-        }
-
-        if (this.sessionCountDisplay) {
-            const sessionInCycle = (this.completedPomodoros % this.settings.longBreakInterval) + 1;
-            this.sessionCountDisplay.textContent = sessionInCycle;
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.markAway();
+            return;
         }
 
-        // Update progress circle
-        this.updateProgressCircle();
-
-        // Update page title
         if (this.isRunning) {
-            document.title = `${timeString} - ${this.getSessionName()} - ChillPomodoro`;
-        } else {
-            document.title = 'ChillPomodoro - Focus & Relax';
+            this.tick();
+        } else if (this.isPaused) {
+            // Background tabs may delay the pause budget timeout
+            this.checkPauseBudget();
         }
+        this.markBack();
     }
 
     /**
-     * Update progress circle
+     * Start an away period: the page was hidden during a running work session
+     * @param {number} at - epoch ms the page was hidden
      */
-    updateProgressCircle() {
-        if (!this.progressCircle) return;
+    markAway(at = Date.now()) {
+        if (this.forwardToLeader('markAway', [at])) return;
 
-        const totalTime = this.getSessionDuration() * 60;
-        const progress = (totalTime - this.currentTime) / totalTime;
-        const circumference = 2 * Math.PI * 120; // r = 120
+        // Another tab of the app may still be in front of the user
+        if (!document.hidden) return;
+        if (!this.isRunning || this.currentSession !== 'work' || this.getOpenAwayPeriod()) return;
 
-        const strokeDasharray = circumference * progress;
-        this.progressCircle.style.strokeDasharray = `${strokeDasharray} ${circumference}`;
-
-        // Add pulse animation if running
-        const timerCircle = this.progressCircle.closest('.timer-circle');
-        if (timerCircle) {
-            if (this.settings.enableAnimations && this.isRunning) {
-                timerCircle.classList.add('timer-pulse');
-            } else {
-                timerCircle.classList.remove('timer-pulse');
-            }
-        }
+        this.awayPeriods.push({ hiddenAt: at, returnedAt: null });
+        this.saveActiveState();
     }
 
     /**
-     * Update control buttons
+     * End the open away period when the user comes back
+     * @param {number} at - epoch ms the page became visible
      */
-    updateControls() {
-        if (!this.startBtn || !this.pauseBtn) return;
+    markBack(at = Date.now()) {
+        if (this.forwardToLeader('markBack', [at])) return;
 
-        if (this.isRunning) {
-            this.startBtn.style.display = 'none';
-            this.pauseBtn.style.display = 'flex';
-        } else {
-            this.startBtn.style.display = 'flex';
-            this.pauseBtn.style.display = 'none';
+        const period = this.getOpenAwayPeriod();
+        if (!period) return;
 
-            const btnText = this.startBtn.querySelector('.btn-text');
-            if (btnText) {
-                btnText.textContent = this.isPaused ? 'Tiếp tục' : 'Bắt đầu';
-            }
+        const seconds = this.closeAwayPeriod(at);
+        this.saveActiveState();
+        if (seconds > 0) {
+            this.emit('distraction', { seconds, count: this.awayPeriods.length });
         }
     }
 
+    getOpenAwayPeriod() {
+        const last = this.awayPeriods[this.awayPeriods.length - 1];
+        return last && !last.returnedAt ? last : null;
+    }
+
     /**
-     * Handle visibility change (tab switching)
+     * Close the open away period, dropping it when it was only a blip
+     * @returns {number} seconds away (0 when dropped or none was open)
      */
-    handleVisibilityChange() {
-        if (document.hidden && this.isRunning) {
-            localStorage.setItem('chillpomodoro-hidden-time', Date.now().toString());
-        } else if (!document.hidden && this.isRunning) {
-            const hiddenTime = localStorage.getItem('chillpomodoro-hidden-time');
-            if (hiddenTime) {
-                const timePassed = Math.floor((Date.now() - parseInt(hiddenTime)) / 1000);
-                this.currentTime = Math.max(0, this.currentTime - timePassed);
-                localStorage.removeItem('chillpomodoro-hidden-time');
-
-                if (this.currentTime <= 0) {
-                    this.complete();
-                } else {
-                    this.updateDisplay();
-                }
-            }
+    closeAwayPeriod(at) {
+        const period = this.getOpenAwayPeriod();
+        if (!period) return 0;
+
+        const seconds = Math.round((at - period.hiddenAt) / 1000);
+        if (seconds < MIN_AWAY_SECONDS) {
+            this.awayPeriods.pop();
+            return 0;
         }
+        period.returnedAt = at;
+        return seconds;
     }
 
     /**
-     * Show notification
+     * Seconds the page was hidden during the current work session
      */
-    showNotification(message, type = 'info') {
-        const notification = document.getElementById('notification');
-        const text = document.getElementById('notificationText');
-
-        if (!notification || !text) return;
-
-        text.textContent = message;
-        notification.className = `notification ${type} show`;
-
-        setTimeout(() => {
-            notification.classList.remove('show');
-        }, 3000);
+    getAwaySeconds(now = Date.now()) {
+        const ms = this.awayPeriods.reduce((sum, p) => sum + ((p.returnedAt || now) - p.hiddenAt), 0);
+        return Math.max(0, Math.round(ms / 1000));
     }
 
     /**
@@ -386,6 +1140,7 @@ export class PomodoroTimer {
             completedPomodoros: this.completedPomodoros,
             totalWorkTime: this.totalWorkTime,
             totalBreakTime: this.totalBreakTime,
+            totalPausedSeconds: this.totalPausedSeconds,
             currentStreak: this.currentStreak,
             sessionHistory: this.sessionHistory
         };
@@ -4,12 +4,15 @@
  */
 
 import { storageManager } from './StorageManager.js';
+import { SequenceEditor } from '../utils/SequenceEditor.js';
+import { showNotification } from '../utils/notification.js';
 
 export class PresetManager {
-    constructor(settings, backgroundManager, audioManager) {
+    constructor(settings, backgroundManager, audioManager, timer = null) {
         this.settings = settings;
         this.backgroundManager = backgroundManager;
         this.audioManager = audioManager;
+        this.timer = timer;
         this.presets = [];
     }
 
@@ -37,6 +40,14 @@ export class PresetManager {
                     shortBreakDuration: this.settings.shortBreakDuration,
                     longBreakDuration: this.settings.longBreakDuration,
                     longBreakInterval: this.settings.longBreakInterval,
+                    breakMode: this.settings.breakMode,
+                    adaptiveBreakMin: this.settings.adaptiveBreakMin,
+                    adaptiveBreakMax: this.settings.adaptiveBreakMax,
+                    cycleSequence: this.settings.cycleSequence,
+                    timerMode: this.settings.timerMode,
+                    flowtimeBreakMode: this.settings.flowtimeBreakMode,
+                    flowtimeBreakRatio: this.settings.flowtimeBreakRatio,
+                    flowtimeBrackets: this.settings.flowtimeBrackets,
                     backgroundType: this.settings.backgroundType,
                     backgroundOpacity: this.settings.backgroundOpacity,
                     backgroundMusicType: this.settings.backgroundMusicType,
@@ -69,10 +80,15 @@ export class PresetManager {
                 throw new Error('Preset not found');
             }
 
-            // Apply settings
-            Object.assign(this.settings, preset.settings);
+            // Apply settings (older presets saved without these use the classic countdown cycle and fixed breaks)
+            Object.assign(this.settings, { cycleSequence: [], timerMode: 'pomodoro', breakMode: 'fixed' }, preset.settings);
             this.settings.save();
 
+            // Apply timer durations/sequence unless a session is running
+            if (this.timer && !this.timer.isRunning) {
+                this.timer.refreshSessionFromSettings();
+            }
+
             // Apply background
             if (this.backgroundManager) {
                 this.backgroundManager.applyBackground(preset.settings.backgroundType);
@@ -94,6 +110,14 @@ export class PresetManager {
         }
     }
 
+    /**
+     * Find a preset by name (case-insensitive), e.g. from a URL command
+     */
+    findPresetByName(name) {
+        const wanted = (name || '').trim().toLowerCase();
+        return this.presets.find(p => p.name.trim().toLowerCase() === wanted) || null;
+    }
+
     /**
      * Delete preset
      */
@@ -135,7 +159,9 @@ export class PresetManager {
                     <div class="library-item-preview" style="display: flex; flex-direction: column; align-items: center; justify-content: center; background: var(--bg-tertiary); padding: 1rem;">
                         <div style="font-size: 2.5rem; margin-bottom: 0.5rem;">⚙️</div>
                         <div style="font-size: 0.875rem; color: var(--text-secondary); text-align: center;">
-                            ${settings.workDuration}/${settings.shortBreakDuration}/${settings.longBreakDuration} phút
+                            ${settings.cycleSequence?.length
+                                ? SequenceEditor.describe(settings.cycleSequence)
+                                : `${settings.workDuration}/${settings.shortBreakDuration}/${settings.longBreakDuration}`} phút
                         </div>
                     </div>
                     <div class="library-item-info">
@@ -175,6 +201,7 @@ export class PresetManager {
                 <label>Cấu hình hiện tại:</label>
                 <div style="padding: 1rem; background: var(--bg-secondary); border-radius: var(--border-radius); margin-top: 0.5rem;">
                     <div style="margin-bottom: 0.5rem;"><strong>Timer:</strong> ${this.settings.workDuration}/${this.settings.shortBreakDuration}/${this.settings.longBreakDuration} phút</div>
+                    ${this.settings.hasCustomSequence() ? `<div style="margin-bottom: 0.5rem;"><strong>Chuỗi phiên:</strong> ${SequenceEditor.describe(this.settings.cycleSequence)} phút</div>` : ''}
                     <div style="margin-bottom: 0.5rem;"><strong>Background:</strong> ${this.getBackgroundName()}</div>
                     <div><strong>Music:</strong> ${this.settings.enableBackgroundMusic ? 'Bật' : 'Tắt'}</div>
                 </div>
@@ -219,7 +246,7 @@ export class PresetManager {
         this.renderPresets();
 
         // Show success notification
-        this.showNotification('Đã lưu preset thành công!', 'success');
+        showNotification('Đã lưu preset thành công!', 'success');
     }
 
     /**
@@ -229,28 +256,11 @@ export class PresetManager {
         if (confirm('Bạn có chắc chắn muốn xóa preset này?')) {
             this.deletePreset(id).then(() => {
                 this.renderPresets();
-                this.showNotification('Đã xóa preset!', 'info');
+                showNotification('Đã xóa preset!', 'info');
             }).catch(err => {
                 alert('Lỗi khi xóa: ' + err.message);
             });
         }
     }
-
-    /**
-     * Show notification
-     */
-    showNotification(message, type = 'info') {
-        const notification = document.getElementById('notification');
-        const text = document.getElementById('notificationText');
-
-        if (!notification || !text) return;
-
-        text.textContent = message;
-        notification.className = `notification ${type} show`;
-
-        setTimeout(() => {
-            notification.classList.remove('show');
-        }, 3000);
-    }
 }
 
@@ -0,0 +1,94 @@
+/**
+ * ReflectionPrompt - Asks for a focus rating (1–5) and a short note after each work session
+ * The answer is stored on the session record saved by PomodoroTimer.complete()
+ */
+
+export class ReflectionPrompt {
+    constructor(timer, settings) {
+        this.timer = timer;
+        this.settings = settings;
+        this.sessionId = null; // session being reflected on
+        this.rating = null;
+
+        this.modal = document.getElementById('reflectionModal');
+        this.bindEvents();
+    }
+
+    /**
+     * Subscribe to timer completion and wire the modal controls
+     */
+    bindEvents() {
+        this.timer.on('complete', ({ session, restored }) => {
+            if (restored || session.type !== 'work' || session.abandoned) return;
+            if (!this.settings.enableReflection) return;
+            this.show(session);
+        });
+
+        if (!this.modal) return;
+
+        this.modal.querySelectorAll('.focus-rating-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectRating(parseInt(btn.dataset.rating)));
+        });
+
+        document.getElementById('saveReflectionBtn')?.addEventListener('click', () => this.save());
+        document.getElementById('skipReflectionBtn')?.addEventListener('click', () => this.hide());
+        document.getElementById('closeReflectionModal')?.addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * Open the prompt for a finished work session
+     */
+    show(session) {
+        if (!this.modal) return;
+
+        this.sessionId = session.id;
+        this.selectRating(null);
+
+        const note = document.getElementById('reflectionNote');
+        if (note) note.value = '';
+
+        const summary = document.getElementById('reflectionSummary');
+        if (summary) {
+            summary.textContent = session.taskName
+                ? `${session.duration} phút cho "${session.taskName}"`
+                : `${session.duration} phút làm việc`;
+        }
+
+        this.modal.classList.add('show');
+    }
+
+    hide() {
+        this.modal?.classList.remove('show');
+        this.sessionId = null;
+    }
+
+    /**
+     * Highlight the chosen rating
+     */
+    selectRating(rating) {
+        this.rating = rating;
+        this.modal?.querySelectorAll('.focus-rating-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.rating) === rating);
+        });
+    }
+
+    /**
+     * Store rating and note on the session
+     */
+    save() {
+        if (!this.sessionId) return;
+
+        const note = (document.getElementById('reflectionNote')?.value || '').replace(/[<>]/g, '').trim();
+        if (!this.rating && !note) {
+            this.hide();
+            return;
+        }
+
+        const changes = {};
+        if (this.rating) changes.focusRating = this.rating;
+        if (note) changes.note = note.slice(0, 280);
+
+        this.timer.updateSessionRecord(this.sessionId, changes);
+        this.hide();
+    }
+}
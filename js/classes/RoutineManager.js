@@ -0,0 +1,160 @@
+/**
+ * RoutineManager - Built-in and user-defined guided break routines
+ * User routines are timed steps stored in IndexedDB
+ */
+
+import { storageManager } from './StorageManager.js';
+import { BUILT_IN_ROUTINES, parseRoutineSteps } from '../utils/breakRoutines.js';
+import { showNotification } from '../utils/notification.js';
+
+export class RoutineManager {
+    constructor(settings) {
+        this.settings = settings;
+        this.customRoutines = [];
+    }
+
+    /**
+     * Load user routines from storage
+     */
+    async loadRoutines() {
+        this.customRoutines = await storageManager.getAllItems('routines');
+        return this.customRoutines;
+    }
+
+    /**
+     * Add a user routine
+     * @param {string} stepsText - one "label: seconds" step per line
+     */
+    async addRoutine(name, stepsText) {
+        const cleanName = (name || '').replace(/[<>]/g, '').trim();
+        if (!cleanName) {
+            throw new Error('Vui lòng nhập tên bài tập!');
+        }
+
+        const steps = parseRoutineSteps(stepsText);
+        if (!steps) {
+            throw new Error('Mỗi dòng một bước dạng "Tên bước: số giây" (5–600 giây, tối đa 30 bước)');
+        }
+
+        const routine = {
+            name: cleanName,
+            kind: 'steps',
+            loop: false,
+            steps,
+            createdAt: new Date().toISOString()
+        };
+
+        const id = await storageManager.addItem('routines', routine);
+        await this.loadRoutines();
+        return id;
+    }
+
+    /**
+     * Delete a user routine
+     */
+    async deleteRoutine(id) {
+        await storageManager.deleteItem('routines', id);
+        await this.loadRoutines();
+    }
+
+    /**
+     * All routines, built-in first
+     */
+    getRoutines() {
+        return [...BUILT_IN_ROUTINES, ...this.customRoutines];
+    }
+
+    /**
+     * Find a routine by id (ids from settings are strings)
+     */
+    getRoutine(id) {
+        if (!id || id === 'none') return null;
+        return this.getRoutines().find(r => r.id.toString() === id.toString()) || null;
+    }
+
+    /**
+     * Total length of a routine in seconds
+     */
+    getDuration(routine) {
+        return routine.steps.reduce((sum, step) => sum + step.seconds, 0);
+    }
+
+    // ===== UI Rendering Methods =====
+
+    /**
+     * Render user routines in settings
+     */
+    render() {
+        const container = document.getElementById('routineList');
+        if (!container) return;
+
+        if (this.customRoutines.length === 0) {
+            container.innerHTML = '<div class="text-muted">Chưa có bài tập tự tạo.</div>';
+            return;
+        }
+
+        container.innerHTML = this.customRoutines.map(routine => `
+            <div class="task-item">
+                <div class="task-body">
+                    <div class="task-name">${routine.name}</div>
+                    <div class="text-muted">${routine.steps.length} bước · ${Math.round(this.getDuration(routine) / 60 * 10) / 10} phút</div>
+                </div>
+                <div class="task-actions">
+                    <button class="item-btn delete" onclick="window.routineManager.confirmDelete(${routine.id})">Xóa</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Fill the per-break-type routine selects
+     */
+    renderRoutineSelects() {
+        const settings = this.settings;
+        const options = '<option value="none">Không hướng dẫn</option>' + this.getRoutines()
+            .map(r => `<option value="${r.id}">${r.name}</option>`)
+            .join('');
+
+        [['shortBreakRoutine', settings.shortBreakRoutine], ['longBreakRoutine', settings.longBreakRoutine]].forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            select.innerHTML = options;
+            select.value = this.getRoutine(value) ? value.toString() : 'none';
+        });
+    }
+
+    /**
+     * Add routine from the settings form
+     */
+    async addRoutineFromForm() {
+        const nameInput = document.getElementById('routineNameInput');
+        const stepsInput = document.getElementById('routineStepsInput');
+
+        try {
+            await this.addRoutine(nameInput?.value, stepsInput?.value);
+            if (nameInput) nameInput.value = '';
+            if (stepsInput) stepsInput.value = '';
+            this.render();
+            this.renderRoutineSelects();
+            showNotification('Đã thêm bài tập!', 'success');
+        } catch (error) {
+            showNotification(error.message, 'warning');
+        }
+    }
+
+    /**
+     * Confirm delete
+     */
+    confirmDelete(id) {
+        if (confirm('Bạn có chắc chắn muốn xóa bài tập này?')) {
+            this.deleteRoutine(id).then(() => {
+                this.render();
+                this.renderRoutineSelects();
+                showNotification('Đã xóa bài tập!', 'info');
+            }).catch(err => {
+                alert('Lỗi khi xóa: ' + err.message);
+            });
+        }
+    }
+}
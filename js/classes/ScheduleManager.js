@@ -570,6 +570,18 @@ export class ScheduleManager {
         }
     }
 
+    /**
+     * Lịch học đang dùng (lịch học mới nhất), null khi chưa có
+     */
+    getLatestClassSchedule() {
+        const classSchedules = this.schedules.filter(s => s.type === 'class');
+        if (classSchedules.length === 0) return null;
+
+        return classSchedules.sort((a, b) =>
+            new Date(b.createdAt) - new Date(a.createdAt)
+        )[0];
+    }
+
     /**
      * Get time slot info for a period
      */
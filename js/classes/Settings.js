@@ -3,6 +3,7 @@
  */
 
 import { storageManager } from './StorageManager.js';
+import { SPEECH_EVENTS, defaultSpeechTemplates } from '../utils/speech.js';
 
 export class Settings {
     constructor() {
@@ -11,8 +12,33 @@ export class Settings {
         this.shortBreakDuration = 5; // minutes
         this.longBreakDuration = 15; // minutes
         this.longBreakInterval = 4; // sessions before long break
+        this.breakMode = 'fixed'; // 'fixed' or 'adaptive' (break length follows the recent workload)
+        this.adaptiveBreakMin = 3; // minutes, bounds for adaptive breaks
+        this.adaptiveBreakMax = 30;
+        this.cycleSequence = []; // custom steps [{ type, duration, label }]; empty = classic rotation
+        this.timerMode = 'pomodoro'; // 'pomodoro' (countdown) or 'flowtime' (count-up work sessions)
+        this.flowtimeBreakMode = 'ratio'; // 'ratio' or 'brackets'
+        this.flowtimeBreakRatio = 5; // break = work minutes / ratio
+        this.flowtimeBrackets = [ // break minutes for work up to `upTo` minutes (null = no limit)
+            { upTo: 25, breakMinutes: 5 },
+            { upTo: 50, breakMinutes: 8 },
+            { upTo: 90, breakMinutes: 10 },
+            { upTo: null, breakMinutes: 15 }
+        ];
         this.enableNotifications = true;
         this.notificationVolume = 70;
+        this.enableEndWarning = false; // sound shortly before a session ends
+        this.endWarningSeconds = 60;
+        this.endWarningSound = 'warning'; // sound id for AudioManager.playSound
+        this.endWarningRepeat = false; // beep every second of the last 10 seconds
+        this.enableTicking = false; // ticking sound during work sessions
+        this.enableSpeech = false; // spoken announcements for session transitions
+        this.speechLang = 'vi-VN';
+        this.speechVoice = ''; // voiceURI, '' = browser default for speechLang
+        this.speechRate = 1;
+        this.speechTemplates = defaultSpeechTemplates(); // eventId -> template, '' = silent (see utils/speech.js)
+        this.enableSystemNotifications = false; // desktop notifications when the tab is in the background
+        this.notificationOnboardingDismissed = false;
         this.enableBackgroundMusic = false;
         this.backgroundMusicVolume = 50;
         this.backgroundMusicType = 'none'; // Legacy single-track (kept for compat)
@@ -23,6 +49,18 @@ export class Settings {
         this.darkMode = false;
         this.autoStartBreaks = false;
         this.autoStartPomodoros = false;
+        this.enableReflection = true; // ask for a focus rating after work sessions
+        this.enableAwayPrompt = true; // gentle "come back" toast after leaving the page during work
+        this.enableOvertime = false; // keep counting (+mm:ss) after a work session reaches zero
+        this.overtimeBreakMode = 'none'; // 'none', 'absorb' (shorter break) or 'extend' (longer break)
+        this.pauseBudgetMinutes = 0; // allowed paused time per work session (0 = unlimited)
+        this.pauseBudgetAction = 'warn'; // 'warn' or 'abandon' when the budget is exceeded
+        this.shortBreakRoutine = 'none'; // guided break routine id (see RoutineManager)
+        this.longBreakRoutine = 'none';
+        this.dailyGoalType = 'pomodoros'; // 'pomodoros' or 'minutes' of focus
+        this.dailyGoalTarget = 8; // 0 = no daily goal
+        this.dailyGoalWeekdays = [null, null, null, null, null, null, null]; // per-weekday targets (0 = Sunday), null = dailyGoalTarget
+        this.keyBindings = {}; // shortcut overrides: actionId -> combo ('' = unbound), see utils/keymap.js
     }
 
     /**
@@ -35,6 +73,16 @@ export class Settings {
             if (!Array.isArray(this.selectedMusicTracks)) {
                 this.selectedMusicTracks = [];
             }
+            if (!Array.isArray(this.cycleSequence)) {
+                this.cycleSequence = [];
+            }
+            if (!Array.isArray(this.dailyGoalWeekdays) || this.dailyGoalWeekdays.length !== 7) {
+                this.dailyGoalWeekdays = [null, null, null, null, null, null, null];
+            }
+            if (!this.keyBindings || typeof this.keyBindings !== 'object' || Array.isArray(this.keyBindings)) {
+                this.keyBindings = {};
+            }
+            this.speechTemplates = { ...defaultSpeechTemplates(), ...this.speechTemplates };
             if (this.backgroundMusicType && this.backgroundMusicType !== 'none') {
                 const exists = this.selectedMusicTracks.some(t => t.id?.toString() === this.backgroundMusicType.toString());
                 if (!exists) {
@@ -55,6 +103,14 @@ export class Settings {
             shortBreakDuration: this.shortBreakDuration,
             longBreakDuration: this.longBreakDuration,
             longBreakInterval: this.longBreakInterval,
+            breakMode: this.breakMode,
+            adaptiveBreakMin: this.adaptiveBreakMin,
+            adaptiveBreakMax: this.adaptiveBreakMax,
+            cycleSequence: this.cycleSequence,
+            timerMode: this.timerMode,
+            flowtimeBreakMode: this.flowtimeBreakMode,
+            flowtimeBreakRatio: this.flowtimeBreakRatio,
+            flowtimeBrackets: this.flowtimeBrackets,
             enableNotifications: this.enableNotifications,
             notificationVolume: this.notificationVolume,
             enableBackgroundMusic: this.enableBackgroundMusic,
@@ -66,7 +122,31 @@ export class Settings {
             enableAnimations: this.enableAnimations,
             darkMode: this.darkMode,
             autoStartBreaks: this.autoStartBreaks,
-            autoStartPomodoros: this.autoStartPomodoros
+            autoStartPomodoros: this.autoStartPomodoros,
+            enableEndWarning: this.enableEndWarning,
+            endWarningSeconds: this.endWarningSeconds,
+            endWarningSound: this.endWarningSound,
+            endWarningRepeat: this.endWarningRepeat,
+            enableTicking: this.enableTicking,
+            enableSpeech: this.enableSpeech,
+            speechLang: this.speechLang,
+            speechVoice: this.speechVoice,
+            speechRate: this.speechRate,
+            speechTemplates: this.speechTemplates,
+            enableSystemNotifications: this.enableSystemNotifications,
+            notificationOnboardingDismissed: this.notificationOnboardingDismissed,
+            enableReflection: this.enableReflection,
+            enableAwayPrompt: this.enableAwayPrompt,
+            enableOvertime: this.enableOvertime,
+            overtimeBreakMode: this.overtimeBreakMode,
+            pauseBudgetMinutes: this.pauseBudgetMinutes,
+            pauseBudgetAction: this.pauseBudgetAction,
+            shortBreakRoutine: this.shortBreakRoutine,
+            longBreakRoutine: this.longBreakRoutine,
+            dailyGoalType: this.dailyGoalType,
+            dailyGoalTarget: this.dailyGoalTarget,
+            dailyGoalWeekdays: this.dailyGoalWeekdays,
+            keyBindings: this.keyBindings
         };
         storageManager.saveSettings(settingsData);
         this.apply();
@@ -122,10 +202,34 @@ export class Settings {
         this.setInputValue('shortBreakDuration', this.shortBreakDuration);
         this.setInputValue('longBreakDuration', this.longBreakDuration);
         this.setInputValue('longBreakInterval', this.longBreakInterval);
+        this.setInputValue('breakMode', this.breakMode);
+        this.setInputValue('adaptiveBreakMin', this.adaptiveBreakMin);
+        this.setInputValue('adaptiveBreakMax', this.adaptiveBreakMax);
+        this.toggleAdaptiveBreakFields(this.breakMode);
+        this.setInputValue('timerMode', this.timerMode);
+        this.setInputValue('flowtimeBreakMode', this.flowtimeBreakMode);
+        this.setInputValue('flowtimeBreakRatio', this.flowtimeBreakRatio);
+        this.setInputValue('flowtimeBrackets', this.formatFlowtimeBrackets());
+        this.toggleFlowtimeFields(this.timerMode);
 
         // Audio settings
         this.setInputValue('enableNotifications', this.enableNotifications, 'checkbox');
         this.setInputValue('notificationVolume', this.notificationVolume);
+        this.setInputValue('enableSystemNotifications', this.enableSystemNotifications, 'checkbox');
+        this.setInputValue('enableEndWarning', this.enableEndWarning, 'checkbox');
+        const warnInMinutes = this.endWarningSeconds >= 60 && this.endWarningSeconds % 60 === 0;
+        this.setInputValue('endWarningAmount', warnInMinutes ? this.endWarningSeconds / 60 : this.endWarningSeconds);
+        this.setInputValue('endWarningUnit', warnInMinutes ? 'minutes' : 'seconds');
+        this.setInputValue('endWarningSound', this.endWarningSound);
+        this.setInputValue('endWarningRepeat', this.endWarningRepeat, 'checkbox');
+        this.setInputValue('enableTicking', this.enableTicking, 'checkbox');
+        this.setInputValue('enableSpeech', this.enableSpeech, 'checkbox');
+        this.setInputValue('speechLang', this.speechLang);
+        this.setInputValue('speechVoice', this.speechVoice);
+        this.setInputValue('speechRate', this.speechRate);
+        SPEECH_EVENTS.forEach(event => {
+            this.setInputValue(`speechTemplate-${event.id}`, this.speechTemplates[event.id] || '');
+        });
         this.setInputValue('enableBackgroundMusic', this.enableBackgroundMusic, 'checkbox');
         this.setInputValue('backgroundMusicVolume', this.backgroundMusicVolume);
 
@@ -136,9 +240,27 @@ export class Settings {
         // Behavior settings
         this.setInputValue('autoStartBreaks', this.autoStartBreaks, 'checkbox');
         this.setInputValue('autoStartPomodoros', this.autoStartPomodoros, 'checkbox');
+        this.setInputValue('enableReflection', this.enableReflection, 'checkbox');
+        this.setInputValue('enableAwayPrompt', this.enableAwayPrompt, 'checkbox');
+        this.setInputValue('enableOvertime', this.enableOvertime, 'checkbox');
+        this.setInputValue('overtimeBreakMode', this.overtimeBreakMode);
+        this.setInputValue('pauseBudgetMinutes', this.pauseBudgetMinutes);
+        this.setInputValue('pauseBudgetAction', this.pauseBudgetAction);
+
+        // Guided breaks
+        this.setInputValue('shortBreakRoutine', this.shortBreakRoutine);
+        this.setInputValue('longBreakRoutine', this.longBreakRoutine);
+
+        // Daily goal
+        this.setInputValue('dailyGoalType', this.dailyGoalType);
+        this.setInputValue('dailyGoalTarget', this.dailyGoalTarget);
+        this.dailyGoalWeekdays.forEach((target, day) => {
+            this.setInputValue(`dailyGoalDay${day}`, target === null ? '' : target);
+        });
 
         // Update display values
         this.updateDisplay('volumeDisplay', this.notificationVolume + '%');
+        this.updateDisplay('speechRateDisplay', this.speechRate + 'x');
         this.updateDisplay('musicVolumeDisplay', this.backgroundMusicVolume + '%');
         this.updateDisplay('opacityDisplay', this.backgroundOpacity + '%');
     }
@@ -152,10 +274,34 @@ export class Settings {
         this.shortBreakDuration = this.getInputValue('shortBreakDuration', 'number');
         this.longBreakDuration = this.getInputValue('longBreakDuration', 'number');
         this.longBreakInterval = this.getInputValue('longBreakInterval', 'number');
+        this.breakMode = this.getInputValue('breakMode', 'text') || 'fixed';
+        this.adaptiveBreakMin = Math.max(1, this.getInputValue('adaptiveBreakMin', 'number') || 3);
+        this.adaptiveBreakMax = Math.max(this.adaptiveBreakMin, this.getInputValue('adaptiveBreakMax', 'number') || 30);
+        this.timerMode = this.getInputValue('timerMode', 'text') || 'pomodoro';
+        this.flowtimeBreakMode = this.getInputValue('flowtimeBreakMode', 'text') || 'ratio';
+        this.flowtimeBreakRatio = this.getInputValue('flowtimeBreakRatio', 'number') || 5;
+        this.flowtimeBrackets = this.parseFlowtimeBrackets(this.getInputValue('flowtimeBrackets', 'text')) || this.flowtimeBrackets;
 
         // Audio settings
         this.enableNotifications = this.getInputValue('enableNotifications', 'checkbox');
         this.notificationVolume = this.getInputValue('notificationVolume', 'number');
+        this.enableSystemNotifications = this.getInputValue('enableSystemNotifications', 'checkbox');
+        this.enableEndWarning = this.getInputValue('enableEndWarning', 'checkbox');
+        const warnAmount = Math.max(1, this.getInputValue('endWarningAmount', 'number'));
+        this.endWarningSeconds = this.getInputValue('endWarningUnit', 'text') === 'seconds' ? warnAmount : warnAmount * 60;
+        this.endWarningSound = this.getInputValue('endWarningSound', 'text') || 'warning';
+        this.endWarningRepeat = this.getInputValue('endWarningRepeat', 'checkbox');
+        this.enableTicking = this.getInputValue('enableTicking', 'checkbox');
+        this.enableSpeech = this.getInputValue('enableSpeech', 'checkbox');
+        this.speechLang = this.getInputValue('speechLang', 'text') || 'vi-VN';
+        this.speechVoice = this.getInputValue('speechVoice', 'text') || '';
+        this.speechRate = parseFloat(this.getInputValue('speechRate', 'text')) || 1;
+        SPEECH_EVENTS.forEach(event => {
+            const template = this.getInputValue(`speechTemplate-${event.id}`, 'text');
+            if (template !== null) {
+                this.speechTemplates[event.id] = template.replace(/[<>]/g, '').trim();
+            }
+        });
         this.enableBackgroundMusic = this.getInputValue('enableBackgroundMusic', 'checkbox');
         this.backgroundMusicVolume = this.getInputValue('backgroundMusicVolume', 'number');
 
@@ -166,10 +312,124 @@ export class Settings {
         // Behavior settings
         this.autoStartBreaks = this.getInputValue('autoStartBreaks', 'checkbox');
         this.autoStartPomodoros = this.getInputValue('autoStartPomodoros', 'checkbox');
+        this.enableReflection = this.getInputValue('enableReflection', 'checkbox');
+        this.enableAwayPrompt = this.getInputValue('enableAwayPrompt', 'checkbox');
+        this.enableOvertime = this.getInputValue('enableOvertime', 'checkbox');
+        this.overtimeBreakMode = this.getInputValue('overtimeBreakMode', 'text') || 'none';
+        this.pauseBudgetMinutes = Math.max(0, this.getInputValue('pauseBudgetMinutes', 'number') || 0);
+        this.pauseBudgetAction = this.getInputValue('pauseBudgetAction', 'text') || 'warn';
+
+        // Guided breaks
+        this.shortBreakRoutine = this.getInputValue('shortBreakRoutine', 'text') || 'none';
+        this.longBreakRoutine = this.getInputValue('longBreakRoutine', 'text') || 'none';
+
+        // Daily goal (empty weekday fields use the default target)
+        this.dailyGoalType = this.getInputValue('dailyGoalType', 'text') || 'pomodoros';
+        this.dailyGoalTarget = Math.max(0, this.getInputValue('dailyGoalTarget', 'number'));
+        this.dailyGoalWeekdays = this.dailyGoalWeekdays.map((target, day) => {
+            const value = this.getInputValue(`dailyGoalDay${day}`, 'text');
+            if (value === null) return target;
+            return value.trim() === '' ? null : Math.max(0, parseInt(value) || 0);
+        });
 
         this.save();
     }
 
+    // ===== Cycle sequence helpers =====
+
+    /**
+     * Whether a user-defined sequence replaces the classic work/short/long rotation
+     */
+    hasCustomSequence() {
+        return Array.isArray(this.cycleSequence) && this.cycleSequence.some(step => step.type === 'work');
+    }
+
+    // ===== Daily goal helpers =====
+
+    /**
+     * Goal for a given day: { type, target } (target 0 = no goal)
+     */
+    getDailyGoal(date = new Date()) {
+        const override = this.dailyGoalWeekdays[date.getDay()];
+        return {
+            type: this.dailyGoalType === 'minutes' ? 'minutes' : 'pomodoros',
+            target: override ?? this.dailyGoalTarget ?? 0
+        };
+    }
+
+    // ===== Flowtime helpers =====
+
+    /**
+     * Break length (minutes) earned by a Flowtime work session
+     */
+    getFlowtimeBreakMinutes(workMinutes) {
+        let minutes;
+        if (this.flowtimeBreakMode === 'brackets' && Array.isArray(this.flowtimeBrackets) && this.flowtimeBrackets.length > 0) {
+            const bracket = this.flowtimeBrackets.find(b => b.upTo === null || workMinutes <= b.upTo)
+                || this.flowtimeBrackets[this.flowtimeBrackets.length - 1];
+            minutes = bracket.breakMinutes;
+        } else {
+            minutes = Math.round(workMinutes / (this.flowtimeBreakRatio || 5));
+        }
+        return Math.max(1, minutes);
+    }
+
+    /**
+     * Parse bracket table text, e.g. "25:5, 50:8, *:15"
+     * Returns null when the text is invalid
+     */
+    parseFlowtimeBrackets(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const brackets = [];
+        for (const part of text.split(',')) {
+            const [limit, breakMinutes] = part.split(':').map(x => x.trim());
+            const minutes = parseInt(breakMinutes);
+            if (!limit || isNaN(minutes) || minutes < 1) return null;
+
+            if (limit === '*') {
+                brackets.push({ upTo: null, breakMinutes: minutes });
+            } else {
+                const upTo = parseInt(limit);
+                if (isNaN(upTo) || upTo < 1) return null;
+                brackets.push({ upTo, breakMinutes: minutes });
+            }
+        }
+
+        // Sort by limit, open-ended bracket last
+        brackets.sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+        return brackets.length > 0 ? brackets : null;
+    }
+
+    /**
+     * Format bracket table for the settings input
+     */
+    formatFlowtimeBrackets() {
+        return (this.flowtimeBrackets || [])
+            .map(b => `${b.upTo === null ? '*' : b.upTo}:${b.breakMinutes}`)
+            .join(', ');
+    }
+
+    /**
+     * Show Flowtime options only when Flowtime mode is selected
+     */
+    toggleFlowtimeFields(mode) {
+        const fields = document.getElementById('flowtimeSettings');
+        if (fields) {
+            fields.style.display = mode === 'flowtime' ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Show adaptive break bounds only in adaptive mode
+     */
+    toggleAdaptiveBreakFields(mode) {
+        const fields = document.getElementById('adaptiveBreakSettings');
+        if (fields) {
+            fields.style.display = mode === 'adaptive' ? 'block' : 'none';
+        }
+    }
+
     // ===== Music track helpers =====
     addMusicTrack(track) {
         const id = track.id.toString();
@@ -0,0 +1,323 @@
+/**
+ * SideTimerManager - Named countdowns and stopwatches running alongside the pomodoro
+ * Each timer keeps wall-clock timestamps so it survives reloads.
+ * Like the main timer, only the leader tab finishes countdowns and chimes; other tabs just show them.
+ */
+
+import { storageManager } from './StorageManager.js';
+import { showNotification } from '../utils/notification.js';
+
+export class SideTimerManager {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.follower - another tab runs the timers (see TabSync)
+     */
+    constructor(audioManager, { follower = false } = {}) {
+        this.audioManager = audioManager;
+        this.follower = follower;
+        this.timers = storageManager.getSideTimers();
+        this.tickInterval = null;
+
+        if (!this.follower) {
+            this.finishElapsed();
+        }
+        this.updateTicking();
+
+        // Timers added, paused or finished in another tab
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'chillpomodoro-side-timers') {
+                this.timers = storageManager.getSideTimers();
+                this.updateTicking();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Countdowns that ran out while the page was closed finish silently
+     */
+    finishElapsed() {
+        const now = Date.now();
+        this.timers.forEach(timer => {
+            if (timer.kind === 'countdown' && timer.endsAt && timer.endsAt <= now) {
+                this.markDone(timer);
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Take over the timers after the leader tab closed
+     */
+    becomeLeader() {
+        if (!this.follower) return;
+
+        this.follower = false;
+        this.timers = storageManager.getSideTimers();
+        this.tick();
+    }
+
+    /**
+     * Add a new side timer
+     * @param {'countdown'|'stopwatch'} kind
+     * @param {number} minutes - countdown length (ignored for stopwatches)
+     * @param {string} sound - sound id for AudioManager.playSound
+     */
+    addTimer(name, kind = 'countdown', minutes = 10, sound = 'breakComplete') {
+        const cleanName = (name || '').replace(/[<>]/g, '').trim();
+        if (!cleanName) {
+            throw new Error('Vui lòng nhập tên timer!');
+        }
+
+        const isStopwatch = kind === 'stopwatch';
+        const length = parseFloat(minutes);
+        if (!isStopwatch && (isNaN(length) || length < 1 || length > 24 * 60)) {
+            throw new Error('Thời gian phải từ 1 phút đến 24 giờ!');
+        }
+
+        const timer = {
+            id: Date.now(),
+            name: cleanName,
+            kind: isStopwatch ? 'stopwatch' : 'countdown',
+            duration: isStopwatch ? 0 : Math.round(length * 60), // seconds
+            sound: sound || 'breakComplete',
+            endsAt: null, // running countdown deadline (epoch ms)
+            remaining: isStopwatch ? 0 : Math.round(length * 60), // paused countdown seconds
+            startedFrom: null, // running stopwatch zero point (epoch ms)
+            elapsed: 0, // paused stopwatch seconds
+            done: false
+        };
+
+        this.timers.push(timer);
+        this.start(timer.id);
+        return timer;
+    }
+
+    /**
+     * Start or resume a timer
+     */
+    start(id) {
+        const timer = this.getTimer(id);
+        if (!timer || this.isRunning(timer)) return;
+
+        const now = Date.now();
+        if (timer.kind === 'countdown') {
+            if (timer.done || timer.remaining <= 0) {
+                timer.remaining = timer.duration;
+            }
+            timer.endsAt = now + timer.remaining * 1000;
+        } else {
+            timer.startedFrom = now - timer.elapsed * 1000;
+        }
+        timer.done = false;
+
+        this.save();
+        this.updateTicking();
+        this.render();
+    }
+
+    /**
+     * Pause a running timer
+     */
+    pause(id) {
+        const timer = this.getTimer(id);
+        if (!timer || !this.isRunning(timer)) return;
+
+        if (timer.kind === 'countdown') {
+            timer.remaining = this.getSeconds(timer);
+            timer.endsAt = null;
+        } else {
+            timer.elapsed = this.getSeconds(timer);
+            timer.startedFrom = null;
+        }
+
+        this.save();
+        this.updateTicking();
+        this.render();
+    }
+
+    /**
+     * Reset a timer to its initial value (stopped)
+     */
+    reset(id) {
+        const timer = this.getTimer(id);
+        if (!timer) return;
+
+        timer.endsAt = null;
+        timer.startedFrom = null;
+        timer.remaining = timer.duration;
+        timer.elapsed = 0;
+        timer.done = false;
+
+        this.save();
+        this.updateTicking();
+        this.render();
+    }
+
+    /**
+     * Remove a timer
+     */
+    remove(id) {
+        this.timers = this.timers.filter(t => t.id !== id);
+        this.save();
+        this.updateTicking();
+        this.render();
+    }
+
+    getTimer(id) {
+        return this.timers.find(t => t.id === id) || null;
+    }
+
+    isRunning(timer) {
+        return timer.kind === 'countdown' ? !!timer.endsAt : !!timer.startedFrom;
+    }
+
+    /**
+     * Remaining seconds (countdown) or elapsed seconds (stopwatch)
+     */
+    getSeconds(timer, now = Date.now()) {
+        if (timer.kind === 'countdown') {
+            if (!timer.endsAt) return timer.remaining;
+            return Math.max(0, Math.ceil((timer.endsAt - now) / 1000));
+        }
+        if (!timer.startedFrom) return timer.elapsed;
+        return Math.max(0, Math.floor((now - timer.startedFrom) / 1000));
+    }
+
+    markDone(timer) {
+        timer.endsAt = null;
+        timer.remaining = 0;
+        timer.done = true;
+    }
+
+    /**
+     * Finish countdowns that reached zero and refresh the panel
+     */
+    tick() {
+        const now = Date.now();
+        let changed = false;
+
+        // Follower tabs get the finished countdowns from the leader through storage
+        this.timers.forEach(timer => {
+            if (this.follower) return;
+            if (timer.kind === 'countdown' && timer.endsAt && timer.endsAt <= now) {
+                this.markDone(timer);
+                this.audioManager.playSound(timer.sound);
+                showNotification(`⏰ ${timer.name}: hết giờ!`, 'success');
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.save();
+            this.updateTicking();
+        }
+        this.render();
+    }
+
+    /**
+     * Run the shared interval only while some timer is running
+     */
+    updateTicking() {
+        const anyRunning = this.timers.some(t => this.isRunning(t));
+
+        if (anyRunning && !this.tickInterval) {
+            this.tickInterval = setInterval(() => this.tick(), 1000);
+        } else if (!anyRunning && this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+
+    save() {
+        storageManager.saveSideTimers(this.timers);
+    }
+
+    // ===== UI Rendering Methods =====
+
+    /**
+     * Render the side timers list
+     */
+    render() {
+        const container = document.getElementById('sideTimerList');
+        if (!container) return;
+
+        if (this.timers.length === 0) {
+            container.innerHTML = '<div class="text-muted">Chưa có timer phụ nào. Thêm một timer cho pha trà, giặt đồ, gọi lại...</div>';
+            return;
+        }
+
+        container.innerHTML = this.timers.map(timer => {
+            const running = this.isRunning(timer);
+            const icon = timer.kind === 'countdown' ? '⏳' : '⏱️';
+
+            return `
+                <div class="side-timer-item ${running ? 'running' : ''} ${timer.done ? 'done' : ''}">
+                    <div class="side-timer-name">${icon} ${timer.name}</div>
+                    <div class="side-timer-time">${this.formatSeconds(this.getSeconds(timer))}</div>
+                    <div class="task-actions">
+                        ${running
+                            ? `<button class="item-btn" onclick="window.sideTimerManager.pause(${timer.id})">⏸</button>`
+                            : `<button class="item-btn use" onclick="window.sideTimerManager.start(${timer.id})">▶</button>`}
+                        <button class="item-btn" onclick="window.sideTimerManager.reset(${timer.id})">↻</button>
+                        <button class="item-btn delete" onclick="window.sideTimerManager.remove(${timer.id})">✕</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Fill the sound picker of the add form
+     */
+    renderSoundOptions() {
+        const select = document.getElementById('sideTimerSound');
+        if (!select) return;
+
+        const current = select.value || 'breakComplete';
+        select.innerHTML = this.audioManager.getSoundChoices()
+            .map(choice => `<option value="${choice.id}">${choice.name}</option>`)
+            .join('');
+        select.value = current;
+        if (!select.value) select.value = 'breakComplete';
+    }
+
+    /**
+     * Toggle the minutes input for countdowns only
+     */
+    toggleMinutesInput() {
+        const kind = document.getElementById('sideTimerKind')?.value;
+        const minutesInput = document.getElementById('sideTimerMinutes');
+        if (minutesInput) {
+            minutesInput.style.display = kind === 'stopwatch' ? 'none' : '';
+        }
+    }
+
+    /**
+     * Add timer from the inline form
+     */
+    addTimerFromForm() {
+        const nameInput = document.getElementById('sideTimerName');
+        const kind = document.getElementById('sideTimerKind')?.value;
+        const minutes = document.getElementById('sideTimerMinutes')?.value;
+        const sound = document.getElementById('sideTimerSound')?.value;
+
+        try {
+            this.addTimer(nameInput?.value, kind, minutes, sound);
+            if (nameInput) nameInput.value = '';
+        } catch (error) {
+            showNotification(error.message, 'warning');
+        }
+    }
+
+    /**
+     * Format seconds as mm:ss (h:mm:ss past an hour)
+     */
+    formatSeconds(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const mmss = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        return hours > 0 ? `${hours}:${mmss}` : mmss;
+    }
+}
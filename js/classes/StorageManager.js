@@ -6,7 +6,7 @@
 export class StorageManager {
     constructor() {
         this.dbName = 'ChillPomodoroApp';
-        this.dbVersion = 2;
+        this.dbVersion = 5;
         this.db = null;
         this.initPromise = this.initDB();
     }
@@ -56,11 +56,46 @@ export class StorageManager {
                     scheduleStore.createIndex('createdAt', 'createdAt', { unique: false });
                 }
 
+                if (!db.objectStoreNames.contains('tasks')) {
+                    const taskStore = db.createObjectStore('tasks', { keyPath: 'id', autoIncrement: true });
+                    taskStore.createIndex('name', 'name', { unique: false });
+                    taskStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('routines')) {
+                    const routineStore = db.createObjectStore('routines', { keyPath: 'id', autoIncrement: true });
+                    routineStore.createIndex('name', 'name', { unique: false });
+                }
+
+                // Session ids are the epoch ms the session ended (see PomodoroTimer.recordSession)
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
+                    sessionStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    sessionStore.createIndex('type', 'type', { unique: false });
+                    sessionStore.createIndex('taskId', 'taskId', { unique: false });
+                    this.migrateSessionHistory(sessionStore);
+                }
+
                 console.log('IndexedDB object stores created');
             };
         });
     }
 
+    /**
+     * Copy the session history kept in localStorage before version 5 into the sessions store
+     */
+    migrateSessionHistory(sessionStore) {
+        const history = this.getTimerState()?.sessionHistory || [];
+        history.forEach(session => {
+            if (!session?.timestamp) return;
+            const id = session.id || Date.parse(session.timestamp);
+            sessionStore.put({ ...session, id });
+        });
+        if (history.length > 0) {
+            console.log(`Migrated ${history.length} sessions to IndexedDB`);
+        }
+    }
+
     /**
      * Ensure DB is initialized before operations
      */
@@ -104,7 +139,99 @@ export class StorageManager {
     }
 
     /**
-     * Add a session to history
+     * Get the running/paused session (wall-clock deadlines) from localStorage
+     */
+    getActiveTimer() {
+        const active = localStorage.getItem('chillpomodoro-timer');
+        return active ? JSON.parse(active) : null;
+    }
+
+    /**
+     * Save the running/paused session to localStorage
+     */
+    saveActiveTimer(active) {
+        localStorage.setItem('chillpomodoro-timer', JSON.stringify(active));
+    }
+
+    /**
+     * Remove the running/paused session from localStorage
+     */
+    clearActiveTimer() {
+        localStorage.removeItem('chillpomodoro-timer');
+    }
+
+    /**
+     * Get the id of the task work sessions are attributed to
+     */
+    getActiveTaskId() {
+        const id = localStorage.getItem('chillpomodoro-active-task');
+        return id ? parseInt(id) : null;
+    }
+
+    /**
+     * Save the active task id (null clears it)
+     */
+    saveActiveTaskId(id) {
+        if (id) {
+            localStorage.setItem('chillpomodoro-active-task', id.toString());
+        } else {
+            localStorage.removeItem('chillpomodoro-active-task');
+        }
+    }
+
+    /**
+     * Get the course/activity tag work sessions are attributed to
+     */
+    getActiveStudyTag() {
+        const tag = localStorage.getItem('chillpomodoro-active-study-tag');
+        return tag ? JSON.parse(tag) : null;
+    }
+
+    /**
+     * Save the active course/activity tag (null clears it)
+     */
+    saveActiveStudyTag(tag) {
+        if (tag) {
+            localStorage.setItem('chillpomodoro-active-study-tag', JSON.stringify(tag));
+        } else {
+            localStorage.removeItem('chillpomodoro-active-study-tag');
+        }
+    }
+
+    /**
+     * Get side timers (countdowns/stopwatches next to the pomodoro)
+     */
+    getSideTimers() {
+        const timers = localStorage.getItem('chillpomodoro-side-timers');
+        return timers ? JSON.parse(timers) : [];
+    }
+
+    /**
+     * Save side timers to localStorage
+     */
+    saveSideTimers(timers) {
+        localStorage.setItem('chillpomodoro-side-timers', JSON.stringify(timers));
+    }
+
+    /**
+     * Get daily goal results keyed by local date (YYYY-MM-DD)
+     */
+    getGoalHistory() {
+        const history = localStorage.getItem('chillpomodoro-goal-history');
+        return history ? JSON.parse(history) : {};
+    }
+
+    /**
+     * Save daily goal results to localStorage
+     */
+    saveGoalHistory(history) {
+        localStorage.setItem('chillpomodoro-goal-history', JSON.stringify(history));
+    }
+
+    /**
+     * Add a session to history.
+     * The full history goes to the sessions store; the state keeps totals and the
+     * latest sessions for synchronous use (today's goal, streak, adaptive breaks).
      */
     addSession(session) {
         const state = this.getTimerState() || {
@@ -112,23 +239,32 @@ export class StorageManager {
             totalWorkTime: 0,
             totalBreakTime: 0,
             currentStreak: 0,
+            totalPausedSeconds: 0,
             sessionHistory: []
         };
 
         state.sessionHistory.unshift(session);
 
-        // Keep only last 100 sessions
+        // Keep only the last 100 sessions in localStorage
         if (state.sessionHistory.length > 100) {
             state.sessionHistory = state.sessionHistory.slice(0, 100);
         }
 
+        this.updateItem('sessions', session).catch(error => {
+            console.error('Error saving session:', error);
+        });
+
         // Update statistics
         if (session.type === 'work' && session.completed) {
-            state.completedPomodoros++;
+            // Extra minutes added to a finished pomodoro are not a new pomodoro
+            if (!session.extension) {
+                state.completedPomodoros++;
+            }
             state.totalWorkTime += session.duration;
         } else if (session.type !== 'work') {
             state.totalBreakTime += session.duration;
         }
+        state.totalPausedSeconds = (state.totalPausedSeconds || 0) + (session.pausedSeconds || 0);
 
         // Update streak
         this.updateStreak(state);
@@ -137,6 +273,122 @@ export class StorageManager {
         return state;
     }
 
+    /**
+     * Merge changes into a session already in history (e.g. a focus rating)
+     */
+    updateSession(id, changes) {
+        this.getItem('sessions', id).then(stored => {
+            if (stored) return this.updateItem('sessions', { ...stored, ...changes });
+        }).catch(error => {
+            console.error('Error updating session:', error);
+        });
+
+        const state = this.getTimerState();
+        const session = state?.sessionHistory.find(s => s.id === id);
+        if (!session) return state;
+
+        Object.assign(session, changes);
+        this.saveTimerState(state);
+        return state;
+    }
+
+    // ===== Session History Queries =====
+
+    /**
+     * Walk stored sessions with a cursor, without loading the whole history
+     * @param {Object} query
+     * @param {Date|number|string} query.from - earliest end time (inclusive)
+     * @param {Date|number|string} query.to - latest end time (inclusive)
+     * @param {string} query.type - 'work', 'shortBreak' or 'longBreak'
+     * @param {number} query.taskId
+     * @param {Function} query.filter - extra condition on a session
+     * @param {boolean} query.newestFirst - default true
+     * @param {Function} callback - called per matching session; return false to stop
+     */
+    async forEachSession(query, callback) {
+        const { from = null, to = null, type = null, taskId = null, filter = null, newestFirst = true } = query;
+        await this.ensureDB();
+
+        // Use the most selective index; the other conditions are checked per session
+        let indexName = 'timestamp';
+        let range = null;
+        if (from !== null || to !== null) {
+            const lower = from !== null ? this.toTimestampKey(from) : null;
+            const upper = to !== null ? this.toTimestampKey(to) : null;
+            range = lower && upper ? IDBKeyRange.bound(lower, upper)
+                : lower ? IDBKeyRange.lowerBound(lower) : IDBKeyRange.upperBound(upper);
+        } else if (type) {
+            indexName = 'type';
+            range = IDBKeyRange.only(type);
+        } else if (taskId !== null) {
+            indexName = 'taskId';
+            range = IDBKeyRange.only(taskId);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessions'], 'readonly');
+            const index = transaction.objectStore('sessions').index(indexName);
+            const request = index.openCursor(range, newestFirst ? 'prev' : 'next');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+
+                const session = cursor.value;
+                const matches = (!type || session.type === type) &&
+                    (taskId === null || session.taskId === taskId) &&
+                    (!filter || filter(session));
+                if (matches && callback(session) === false) {
+                    resolve();
+                    return;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * One page of sessions matching a query (see forEachSession), newest first by default
+     * @param {Object} query - plus offset and limit for paging
+     */
+    async getSessions({ offset = 0, limit = Infinity, ...query } = {}) {
+        const sessions = [];
+        let skipped = 0;
+        if (limit <= 0) return sessions;
+
+        await this.forEachSession(query, session => {
+            if (skipped < offset) {
+                skipped++;
+                return true;
+            }
+            sessions.push(session);
+            return sessions.length < limit;
+        });
+        return sessions;
+    }
+
+    /**
+     * Number of sessions matching a query (see forEachSession)
+     */
+    async countSessions(query = {}) {
+        let count = 0;
+        await this.forEachSession(query, () => {
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Index key for a session end time (sessions store ISO timestamps)
+     */
+    toTimestampKey(value) {
+        return new Date(value).toISOString();
+    }
+
     /**
      * Update current streak
      */
@@ -196,10 +448,15 @@ export class StorageManager {
         // Clear localStorage
         localStorage.removeItem('chillpomodoro-settings');
         localStorage.removeItem('chillpomodoro-state');
+        localStorage.removeItem('chillpomodoro-timer');
+        localStorage.removeItem('chillpomodoro-active-task');
+        localStorage.removeItem('chillpomodoro-active-study-tag');
+        localStorage.removeItem('chillpomodoro-side-timers');
+        localStorage.removeItem('chillpomodoro-goal-history');
 
         // Clear IndexedDB
         await this.ensureDB();
-        const stores = ['animations', 'sounds', 'presets', 'schedules'];
+        const stores = ['animations', 'sounds', 'presets', 'schedules', 'tasks', 'routines', 'sessions'];
 
         for (const storeName of stores) {
             await this.clearStore(storeName);
@@ -371,6 +628,8 @@ export class StorageManager {
         const sounds = await this.getAllItems('sounds');
         const presets = await this.getAllItems('presets');
         const schedules = await this.getAllItems('schedules');
+        const tasks = await this.getAllItems('tasks');
+        const sessions = await this.getAllItems('sessions');
         const settings = this.getSettings();
         const state = this.getTimerState();
 
@@ -402,6 +661,8 @@ export class StorageManager {
             sounds: exportSounds,
             presets,
             schedules,
+            tasks,
+            sessions,
             settings,
             state,
             exportDate: new Date().toISOString(),
@@ -0,0 +1,147 @@
+/**
+ * StudyTagManager - Tags work sessions with a course of the class schedule or an activity of today's daily schedule
+ * The active tag is kept like the active task and copied onto each recorded work session
+ */
+
+import { storageManager } from './StorageManager.js';
+
+export class StudyTagManager {
+    /**
+     * @param {ScheduleManager} scheduleManager - source of the class schedule courses
+     * @param {DailyActivityManager} dailyActivityManager - source of today's activities
+     */
+    constructor(scheduleManager, dailyActivityManager) {
+        this.scheduleManager = scheduleManager;
+        this.dailyActivityManager = dailyActivityManager;
+        this.activeTag = storageManager.getActiveStudyTag();
+        this.todaySchedule = null;
+        this.onChange = null; // set by TabSync to tell the other tabs
+    }
+
+    /**
+     * Courses of the active (latest) class schedule
+     */
+    getCourses() {
+        const schedule = this.scheduleManager.getLatestClassSchedule();
+        return (schedule?.courses || []).map(course => ({
+            type: 'course',
+            value: `course:${course.id}`,
+            courseId: course.id,
+            courseName: course.name,
+            color: course.color
+        }));
+    }
+
+    /**
+     * Activities of today's daily schedule; study activities also carry their course
+     */
+    getTodayActivities() {
+        const schedule = this.todaySchedule;
+        if (!schedule) return [];
+
+        return [...schedule.morningSchedule.activities, ...schedule.afternoonSchedule.activities].map(activity => ({
+            type: 'activity',
+            value: `activity:${schedule.id}:${activity.id}`,
+            activityId: `${schedule.id}:${activity.id}`,
+            activityName: activity.courseName
+                ? `${activity.courseName}${activity.topic ? ` – ${activity.topic}` : ''}`
+                : activity.name || 'Hoạt động',
+            courseId: activity.courseId || null,
+            courseName: activity.courseName || null,
+            scheduledTime: activity.scheduledTime || null
+        }));
+    }
+
+    /**
+     * Reload today's daily schedule (it changes with the date and when schedules are edited)
+     */
+    async loadTodayActivities() {
+        try {
+            this.todaySchedule = await this.dailyActivityManager.getDailyActivitySchedule(new Date()) || null;
+        } catch (error) {
+            console.error('Error loading today\'s activities:', error);
+            this.todaySchedule = null;
+        }
+    }
+
+    /**
+     * Set the tag that completed work sessions are attributed to ('' or null clears it)
+     */
+    setActiveTag(value) {
+        const tag = value ? [...this.getCourses(), ...this.getTodayActivities()].find(t => t.value === value) : null;
+        this.activeTag = tag || null;
+        storageManager.saveActiveStudyTag(this.activeTag);
+        this.onChange?.();
+    }
+
+    getActiveTag() {
+        // The tag may have been picked in another tab
+        this.activeTag = storageManager.getActiveStudyTag();
+        return this.activeTag;
+    }
+
+    /**
+     * Pick up the tag chosen in another tab
+     */
+    async syncFromStorage() {
+        this.activeTag = storageManager.getActiveStudyTag();
+        await this.render();
+    }
+
+    /**
+     * Fields copied onto a work session record
+     */
+    getSessionFields() {
+        const tag = this.getActiveTag();
+        if (!tag) return {};
+
+        const fields = {};
+        if (tag.courseName) {
+            fields.courseId = tag.courseId;
+            fields.courseName = tag.courseName;
+        }
+        if (tag.type === 'activity') {
+            fields.activityId = tag.activityId;
+            fields.activityName = tag.activityName;
+        }
+        return fields;
+    }
+
+    // ===== UI Rendering Methods =====
+
+    /**
+     * Render the course/activity selector next to the timer
+     */
+    async render() {
+        await this.loadTodayActivities();
+
+        const courses = this.getCourses();
+        const activities = this.getTodayActivities();
+
+        // Activities of another day (or deleted courses) can't be picked anymore
+        if (this.activeTag && ![...courses, ...activities].some(t => t.value === this.activeTag.value)) {
+            this.setActiveTag(null);
+        }
+
+        const container = document.getElementById('activeTagContainer');
+        if (container) {
+            container.style.display = courses.length > 0 || activities.length > 0 ? '' : 'none';
+        }
+
+        const select = document.getElementById('activeTagSelect');
+        if (!select) return;
+
+        let html = '<option value="">— Không gắn môn học —</option>';
+        if (courses.length > 0) {
+            html += `<optgroup label="📚 Môn học">${courses.map(tag =>
+                `<option value="${tag.value}">${tag.courseName}</option>`).join('')}</optgroup>`;
+        }
+        if (activities.length > 0) {
+            html += `<optgroup label="🏠 Lịch sinh hoạt hôm nay">${activities.map(tag =>
+                `<option value="${tag.value}">${tag.scheduledTime ? `${tag.scheduledTime} · ` : ''}${tag.activityName}</option>`).join('')}</optgroup>`;
+        }
+
+        select.innerHTML = html;
+        select.value = this.activeTag?.value || '';
+    }
+}
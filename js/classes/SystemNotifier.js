@@ -0,0 +1,250 @@
+/**
+ * SystemNotifier - Desktop notifications for timer events
+ * Notifications go through the service worker so they can carry action buttons
+ * ("Bắt đầu nghỉ", "Bỏ qua nghỉ", "+5 phút") that drive the timer.
+ */
+
+import { showNotification } from '../utils/notification.js';
+
+export class SystemNotifier {
+    constructor(timer, settings) {
+        this.timer = timer;
+        this.settings = settings;
+        this.registration = null;
+        this.extendMinutes = 5;
+        this.handlingAction = false; // the user drives the timer from a notification right now
+    }
+
+    /**
+     * Register the service worker and subscribe to timer events
+     */
+    async init() {
+        if ('serviceWorker' in navigator) {
+            try {
+                this.registration = await navigator.serviceWorker.register('./sw.js');
+            } catch (error) {
+                console.warn('Service worker registration failed:', error);
+            }
+
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'notification-action') {
+                    this.handleAction(event.data.action);
+                }
+            });
+        }
+
+        // The app was opened from a notification while no tab was open
+        const params = new URLSearchParams(location.search);
+        const action = params.get('notificationAction');
+        if (action) {
+            params.delete('notificationAction');
+            const query = params.toString();
+            history.replaceState(null, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+            this.handleAction(action);
+        }
+
+        this.timer.on('sessionChange', payload => this.notifySessionChange(payload));
+        this.timer.on('overtime', () => {
+            this.show('Hết giờ làm việc! ⏱️', {
+                body: 'Đang tính giờ làm thêm. Hoàn thành nốt rồi kết thúc phiên nhé.',
+                actions: [{ action: 'finish', title: 'Kết thúc' }]
+            });
+        });
+
+        this.renderOnboarding();
+        this.renderStatus();
+    }
+
+    isSupported() {
+        return 'Notification' in window;
+    }
+
+    getPermission() {
+        return this.isSupported() ? Notification.permission : 'denied';
+    }
+
+    /**
+     * Ask for permission (must run from a user gesture) and enable notifications when granted
+     */
+    async requestPermission() {
+        if (!this.isSupported()) {
+            showNotification('Trình duyệt không hỗ trợ thông báo hệ thống', 'warning');
+            return false;
+        }
+
+        const permission = await Notification.requestPermission();
+        const granted = permission === 'granted';
+
+        this.settings.enableSystemNotifications = granted;
+        this.settings.notificationOnboardingDismissed = true;
+        this.settings.save();
+
+        if (granted) {
+            showNotification('Đã bật thông báo hệ thống 🔔', 'success');
+        } else {
+            showNotification('Thông báo bị chặn. Bạn có thể cho phép lại trong cài đặt trình duyệt.', 'warning');
+        }
+
+        // Only sync the checkbox; other unsaved settings in the form stay untouched
+        const checkbox = document.getElementById('enableSystemNotifications');
+        if (checkbox) checkbox.checked = granted;
+
+        this.renderOnboarding();
+        this.renderStatus();
+        return granted;
+    }
+
+    /**
+     * Hide the onboarding card without asking
+     */
+    dismissOnboarding() {
+        this.settings.notificationOnboardingDismissed = true;
+        this.settings.save();
+        this.renderOnboarding();
+    }
+
+    /**
+     * Only notify when the page is not in front of the user (the toast covers that case)
+     */
+    shouldNotify() {
+        return this.settings.enableSystemNotifications &&
+            this.getPermission() === 'granted' &&
+            (document.hidden || !document.hasFocus());
+    }
+
+    /**
+     * Notify that a session ended, with actions for the next one
+     */
+    notifySessionChange({ from, to, reason, minutes, restored, completed = true }) {
+        if (restored || this.handlingAction || ['settings', 'quickTimer', 'extension'].includes(reason)) return;
+
+        const nextName = this.timer.getSessionName();
+        const nextText = minutes ? `${nextName} ${minutes} phút` : nextName;
+        const title = this.getTransitionTitle(from, completed);
+
+        if (to === 'work') {
+            this.show(title, {
+                body: `Tiếp theo: ${nextText}`,
+                actions: [
+                    { action: 'start', title: 'Bắt đầu làm việc' },
+                    { action: 'extend', title: `+${this.extendMinutes} phút nghỉ` }
+                ]
+            });
+        } else {
+            this.show(title, {
+                body: `Tiếp theo: ${nextText}`,
+                actions: [
+                    { action: 'start', title: 'Bắt đầu nghỉ' },
+                    { action: 'skip-break', title: 'Bỏ qua nghỉ' },
+                    { action: 'extend', title: `+${this.extendMinutes} phút` }
+                ]
+            });
+        }
+    }
+
+    /**
+     * Title for the end of a session, by what ended and how
+     */
+    getTransitionTitle(from, completed) {
+        if (from === 'work') {
+            return completed ? 'Hoàn thành phiên làm việc! 🍅' : 'Đã kết thúc phiên làm việc sớm';
+        }
+        return completed ? 'Hết giờ nghỉ! ☕' : 'Đã bỏ qua giờ nghỉ';
+    }
+
+    /**
+     * Show a notification through the service worker (falls back to a plain notification)
+     */
+    async show(title, { body = '', actions = [] } = {}) {
+        if (!this.shouldNotify()) return;
+
+        const options = {
+            body,
+            tag: 'chillpomodoro-timer',
+            renotify: true,
+            requireInteraction: actions.length > 0
+        };
+
+        try {
+            if (this.registration) {
+                await this.registration.showNotification(title, { ...options, actions });
+                return;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        } catch (error) {
+            console.error('Error showing system notification:', error);
+        }
+    }
+
+    /**
+     * Run a notification action on the timer
+     */
+    handleAction(action) {
+        // The user caused these session changes; don't notify them about it
+        this.handlingAction = true;
+        try {
+            this.runAction(action);
+        } finally {
+            this.handlingAction = false;
+        }
+    }
+
+    runAction(action) {
+        const timer = this.timer;
+
+        switch (action) {
+            case 'start':
+                if (!timer.isRunning) timer.start();
+                break;
+            case 'skip-break':
+                if (timer.currentSession !== 'work') {
+                    timer.skip();
+                }
+                if (!timer.isRunning) timer.start();
+                break;
+            case 'extend':
+                if (!timer.extendLastSession(this.extendMinutes)) {
+                    showNotification('Không thể gia hạn phiên vừa kết thúc', 'warning');
+                }
+                break;
+            case 'finish':
+                if (timer.inOvertime) timer.skip();
+                break;
+        }
+    }
+
+    // ===== UI Rendering Methods =====
+
+    /**
+     * Show the permission onboarding card until the user decides
+     */
+    renderOnboarding() {
+        const card = document.getElementById('notificationOnboarding');
+        if (!card) return;
+
+        const show = this.isSupported() &&
+            this.getPermission() === 'default' &&
+            !this.settings.notificationOnboardingDismissed;
+        card.style.display = show ? 'flex' : 'none';
+    }
+
+    /**
+     * Permission status next to the setting
+     */
+    renderStatus() {
+        const status = document.getElementById('systemNotificationStatus');
+        if (!status) return;
+
+        const labels = {
+            granted: '✅ Đã cho phép',
+            denied: '⛔ Đã bị chặn trong trình duyệt',
+            default: '❔ Chưa cấp quyền'
+        };
+        status.textContent = this.isSupported() ? labels[this.getPermission()] : 'Trình duyệt không hỗ trợ';
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * TabSync - Keeps the timer consistent across open tabs
+ * One tab (the leader, holder of a Web Lock) runs the timer and records sessions.
+ * Other tabs mirror its state over a BroadcastChannel and forward their commands to it.
+ */
+
+import { storageManager } from './StorageManager.js';
+import { TIMER_EVENTS } from './PomodoroTimer.js';
+
+const CHANNEL_NAME = 'chillpomodoro-sync';
+const LEADER_LOCK = 'chillpomodoro-leader';
+
+// Timer methods a follower tab may ask the leader to run
+const FORWARDED_COMMANDS = [
+    'start', 'pause', 'reset', 'skip', 'setQuickTimer', 'logInterruption',
+    'refreshSessionFromSettings', 'extendLastSession', 'updateSessionRecord', 'markAway', 'markBack'
+];
+
+export class TabSync {
+    constructor(settings) {
+        this.settings = settings;
+        this.timer = null;
+        this.channel = null;
+        this.isLeader = true;
+        this.broadcastPending = false;
+        this.leadershipCallbacks = [];
+    }
+
+    /**
+     * Run a callback when this follower tab takes over from a closed leader tab
+     */
+    onLeadership(callback) {
+        this.leadershipCallbacks.push(callback);
+    }
+
+    /**
+     * Open the channel and find out whether this tab is the leader.
+     * Without BroadcastChannel or Web Locks every tab runs on its own, as before.
+     */
+    async init() {
+        if (!('BroadcastChannel' in window) || !navigator.locks) return;
+
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        this.isLeader = await new Promise(resolve => {
+            navigator.locks.request(LEADER_LOCK, { ifAvailable: true }, (lock) => {
+                resolve(!!lock);
+                // Hold the lock until the tab closes
+                return lock ? new Promise(() => {}) : null;
+            });
+        });
+
+        if (!this.isLeader) {
+            this.waitForLeadership();
+        }
+    }
+
+    /**
+     * Queue for the lock; it is granted once the current leader tab closes
+     */
+    waitForLeadership() {
+        navigator.locks.request(LEADER_LOCK, () => {
+            this.isLeader = true;
+            if (this.timer) {
+                this.timer.becomeLeader();
+                this.broadcastState();
+            }
+            this.leadershipCallbacks.forEach(callback => callback());
+            return new Promise(() => {});
+        });
+    }
+
+    /**
+     * Connect the timer created with { follower: !isLeader }
+     */
+    attach(timer) {
+        this.timer = timer;
+        if (!this.channel) return;
+
+        // Any state change in the leader is sent once the timer has saved it
+        TIMER_EVENTS
+            .filter(event => !['tick', 'warning', 'sync', 'command'].includes(event))
+            .forEach(event => timer.on(event, () => this.scheduleBroadcast()));
+
+        timer.on('command', ({ name, args }) => {
+            this.post({ type: 'command', name, args });
+        });
+
+        // Tasks and study tags are picked in any tab; the others reload them so the leader tags sessions correctly
+        if (timer.taskManager) {
+            timer.taskManager.onChange = () => this.post({ type: 'tasks' });
+        }
+        if (timer.studyTagManager) {
+            timer.studyTagManager.onChange = () => this.post({ type: 'studyTag' });
+        }
+
+        // Settings saved in another tab (e.g. auto-start) apply here too
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'chillpomodoro-settings') {
+                this.settings.load();
+            }
+        });
+
+        if (this.isLeader) {
+            // Leadership may have been granted before the timer existed
+            timer.becomeLeader();
+            this.broadcastState();
+        } else {
+            this.post({ type: 'hello' });
+        }
+    }
+
+    /**
+     * Handle a message from another tab
+     */
+    handleMessage(message) {
+        if (!message || !this.timer) return;
+
+        switch (message.type) {
+            case 'state':
+                if (!this.isLeader) {
+                    this.timer.applyMirroredState(message.active, message.state);
+                }
+                break;
+            case 'hello':
+                if (this.isLeader) {
+                    this.broadcastState();
+                }
+                break;
+            case 'tasks':
+                this.timer.taskManager?.syncFromStorage().catch(error => {
+                    console.error('Error loading tasks:', error);
+                });
+                break;
+            case 'studyTag':
+                this.timer.studyTagManager?.syncFromStorage().catch(error => {
+                    console.error('Error loading study tag:', error);
+                });
+                break;
+            case 'command':
+                if (this.isLeader && FORWARDED_COMMANDS.includes(message.name)) {
+                    if (message.name === 'refreshSessionFromSettings') {
+                        // The storage event for the new settings may not have arrived yet
+                        this.settings.load();
+                    }
+                    this.timer[message.name](...(message.args || []));
+                    // Not every command emits an event (e.g. updateSessionRecord)
+                    this.scheduleBroadcast();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Broadcast after the current event handlers finish, so storage is up to date
+     */
+    scheduleBroadcast() {
+        if (!this.isLeader || this.broadcastPending) return;
+
+        this.broadcastPending = true;
+        setTimeout(() => {
+            this.broadcastPending = false;
+            this.broadcastState();
+        }, 0);
+    }
+
+    /**
+     * Send the leader's saved session and statistics to the other tabs
+     */
+    broadcastState() {
+        this.post({
+            type: 'state',
+            active: storageManager.getActiveTimer(),
+            state: storageManager.getTimerState()
+        });
+    }
+
+    post(message) {
+        try {
+            this.channel?.postMessage(message);
+        } catch (error) {
+            console.error('Error syncing tabs:', error);
+        }
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * TaskManager - Task List Management
+ * Handles tasks with pomodoro estimates and the active task linked to the timer
+ */
+
+import { storageManager } from './StorageManager.js';
+import { showNotification } from '../utils/notification.js';
+
+export class TaskManager {
+    constructor() {
+        this.tasks = [];
+        this.activeTaskId = storageManager.getActiveTaskId();
+        this.onChange = null; // set by TabSync to tell the other tabs
+    }
+
+    /**
+     * Load tasks from storage
+     */
+    async loadTasks() {
+        this.tasks = await storageManager.getAllItems('tasks');
+
+        // Drop a stale active task (deleted in another session)
+        if (this.activeTaskId && !this.tasks.some(t => t.id === this.activeTaskId)) {
+            this.setActiveTask(null);
+        }
+
+        return this.tasks;
+    }
+
+    /**
+     * Pick up tasks and the active task changed in another tab
+     */
+    async syncFromStorage() {
+        this.activeTaskId = storageManager.getActiveTaskId();
+        await this.loadTasks();
+        this.render();
+    }
+
+    /**
+     * Add new task
+     */
+    async addTask(name, estimatedPomodoros = 1) {
+        const cleanName = (name || '').replace(/[<>]/g, '').trim();
+        if (!cleanName) {
+            throw new Error('Vui lòng nhập tên công việc!');
+        }
+
+        const estimate = parseInt(estimatedPomodoros);
+        const task = {
+            name: cleanName,
+            estimatedPomodoros: isNaN(estimate) || estimate < 1 ? 1 : Math.min(estimate, 20),
+            completedPomodoros: 0,
+            done: false,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        const id = await storageManager.addItem('tasks', task);
+        await this.loadTasks();
+        this.onChange?.();
+
+        // First task becomes active automatically
+        if (!this.activeTaskId) {
+            this.setActiveTask(id);
+        }
+
+        return id;
+    }
+
+    /**
+     * Update task fields
+     */
+    async updateTask(id, changes) {
+        // Merge onto the stored task: another tab may have counted a pomodoro meanwhile
+        const task = await storageManager.getItem('tasks', id);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+
+        const updated = { ...task, ...changes, updatedAt: new Date().toISOString() };
+        await storageManager.updateItem('tasks', updated);
+        await this.loadTasks();
+        this.onChange?.();
+        return updated;
+    }
+
+    /**
+     * Delete task
+     */
+    async deleteTask(id) {
+        await storageManager.deleteItem('tasks', id);
+        if (this.activeTaskId === id) {
+            this.setActiveTask(null);
+        }
+        await this.loadTasks();
+        this.onChange?.();
+    }
+
+    /**
+     * Toggle task done state
+     */
+    async toggleDone(id) {
+        const task = this.tasks.find(t => t.id === id);
+        if (!task) return;
+
+        await this.updateTask(id, { done: !task.done });
+
+        // A finished task should not keep collecting pomodoros
+        if (!task.done && this.activeTaskId === id) {
+            this.setActiveTask(null);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Set the task that completed work sessions are attributed to
+     */
+    setActiveTask(id) {
+        this.activeTaskId = id || null;
+        storageManager.saveActiveTaskId(this.activeTaskId);
+        this.onChange?.();
+    }
+
+    /**
+     * Get the active task object
+     */
+    getActiveTask() {
+        // The task may have been picked in another tab
+        this.activeTaskId = storageManager.getActiveTaskId();
+        if (!this.activeTaskId) return null;
+        return this.tasks.find(t => t.id === this.activeTaskId) || null;
+    }
+
+    /**
+     * Count a completed work session towards a task
+     */
+    async recordPomodoro(id) {
+        const task = await storageManager.getItem('tasks', id);
+        if (!task) return;
+
+        await this.updateTask(id, { completedPomodoros: (task.completedPomodoros || 0) + 1 });
+        this.render();
+    }
+
+    // ===== UI Rendering Methods =====
+
+    /**
+     * Render task list and active task selector
+     */
+    render() {
+        this.renderTasks();
+        this.renderActiveTaskSelect();
+    }
+
+    /**
+     * Render tasks list
+     */
+    renderTasks() {
+        const container = document.getElementById('taskList');
+        if (!container) return;
+
+        if (this.tasks.length === 0) {
+            container.innerHTML = '<div class="text-muted">Chưa có công việc nào. Thêm công việc và ước lượng số pomodoro!</div>';
+            return;
+        }
+
+        // Open tasks first, newest first
+        const sorted = [...this.tasks].sort((a, b) => {
+            if (a.done !== b.done) return a.done ? 1 : -1;
+            return new Date(b.createdAt) - new Date(a.createdAt);
+        });
+
+        container.innerHTML = sorted.map(task => {
+            const actual = task.completedPomodoros || 0;
+            const estimate = task.estimatedPomodoros || 1;
+            const percent = Math.min(100, Math.round((actual / estimate) * 100));
+            const isActive = task.id === this.activeTaskId;
+            const isOver = actual > estimate;
+
+            return `
+                <div class="task-item ${task.done ? 'done' : ''} ${isActive ? 'active' : ''}" data-id="${task.id}">
+                    <input type="checkbox" class="task-done" ${task.done ? 'checked' : ''}>
+                    <div class="task-body">
+                        <div class="task-name">${task.name}</div>
+                        <div class="task-progress">
+                            <div class="task-progress-bar ${isOver ? 'over' : ''}" style="width: ${percent}%;"></div>
+                        </div>
+                    </div>
+                    <div class="task-count ${isOver ? 'over' : ''}" title="Thực tế / Ước lượng">🍅 ${actual}/${estimate}</div>
+                    <div class="task-actions">
+                        ${!task.done && !isActive ? `<button class="item-btn use" onclick="window.taskManager.selectTask(${task.id})">Chọn</button>` : ''}
+                        <button class="item-btn delete" onclick="window.taskManager.confirmDelete(${task.id})">Xóa</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.task-done').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const id = Number(checkbox.closest('.task-item').dataset.id);
+                this.toggleDone(id).catch(error => {
+                    showNotification('Lỗi khi cập nhật công việc: ' + error.message, 'danger');
+                    this.render();
+                });
+            });
+        });
+    }
+
+    /**
+     * Render active task selector next to the timer
+     */
+    renderActiveTaskSelect() {
+        const select = document.getElementById('activeTaskSelect');
+        if (!select) return;
+
+        let html = '<option value="">— Không chọn công việc —</option>';
+        this.tasks.filter(t => !t.done).forEach(task => {
+            html += `<option value="${task.id}">${task.name} (${task.completedPomodoros || 0}/${task.estimatedPomodoros})</option>`;
+        });
+
+        select.innerHTML = html;
+        select.value = this.activeTaskId ? this.activeTaskId.toString() : '';
+    }
+
+    /**
+     * Select task from list
+     */
+    selectTask(id) {
+        this.setActiveTask(id);
+        this.render();
+    }
+
+    /**
+     * Add task from the inline form
+     */
+    async addTaskFromForm() {
+        const nameInput = document.getElementById('taskNameInput');
+        const estimateInput = document.getElementById('taskEstimateInput');
+
+        try {
+            await this.addTask(nameInput?.value, estimateInput?.value);
+            if (nameInput) nameInput.value = '';
+            if (estimateInput) estimateInput.value = 1;
+            this.render();
+        } catch (error) {
+            showNotification(error.message, 'warning');
+        }
+    }
+
+    /**
+     * Confirm delete
+     */
+    confirmDelete(id) {
+        if (confirm('Bạn có chắc chắn muốn xóa công việc này?')) {
+            this.deleteTask(id).then(() => {
+                this.render();
+                showNotification('Đã xóa công việc!', 'info');
+            }).catch(err => {
+                alert('Lỗi khi xóa: ' + err.message);
+            });
+        }
+    }
+}
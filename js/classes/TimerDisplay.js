@@ -0,0 +1,140 @@
+/**
+ * TimerDisplay - Renders the timer (time, session, progress ring, controls)
+ * Listens to PomodoroTimer events instead of being called by the timer
+ */
+
+import { TIMER_EVENTS } from './PomodoroTimer.js';
+
+export class TimerDisplay {
+    constructor(timer) {
+        this.timer = timer;
+
+        // UI elements
+        this.timeDisplay = document.getElementById('timeDisplay');
+        this.sessionTypeDisplay = document.getElementById('sessionType');
+        this.sessionCountDisplay = document.getElementById('sessionCount');
+        this.progressCircle = document.getElementById('progressCircle');
+        this.startBtn = document.getElementById('startBtn');
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.skipBtn = document.getElementById('skipBtn');
+        this.interruptionCountDisplay = document.getElementById('interruptionCount');
+        this.breakReasonDisplay = document.getElementById('breakReason');
+
+        // Every timer event may change something on screen
+        TIMER_EVENTS.forEach(event => this.timer.on(event, () => this.render()));
+    }
+
+    /**
+     * Render time, progress and controls
+     */
+    render() {
+        this.updateDisplay();
+        this.updateControls();
+    }
+
+    /**
+     * Update display
+     */
+    updateDisplay() {
+        const timer = this.timer;
+        const absTime = Math.abs(timer.currentTime);
+        const minutes = Math.floor(absTime / 60);
+        const seconds = absTime % 60;
+        const prefix = timer.inOvertime ? '+' : '';
+        const timeString = `${prefix}${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+        if (this.timeDisplay) {
+            this.timeDisplay.textContent = timeString;
+        }
+
+        if (this.sessionTypeDisplay) {
+            this.sessionTypeDisplay.textContent = timer.getSessionName();
+        }
+
+        if (this.sessionCountDisplay) {
+            if (timer.usesSequence()) {
+                this.sessionCountDisplay.textContent = `${timer.sequenceIndex + 1}/${timer.settings.cycleSequence.length}`;
+            } else {
+                this.sessionCountDisplay.textContent = timer.cyclePosition + 1;
+            }
+        }
+
+        if (this.interruptionCountDisplay) {
+            this.interruptionCountDisplay.textContent = timer.interruptions.length;
+        }
+
+        if (this.breakReasonDisplay) {
+            const showReason = timer.currentSession !== 'work' && timer.breakReason;
+            this.breakReasonDisplay.textContent = showReason ? `⚖️ Nghỉ ${timer.sessionLengthMinutes()} phút vì ${timer.breakReason}` : '';
+        }
+
+        // Update progress circle
+        this.updateProgressCircle();
+
+        // Update page title
+        if (timer.isRunning) {
+            document.title = `${timeString} - ${timer.getSessionName()} - ChillPomodoro`;
+        } else {
+            document.title = 'ChillPomodoro - Focus & Relax';
+        }
+    }
+
+    /**
+     * Update progress circle
+     */
+    updateProgressCircle() {
+        if (!this.progressCircle) return;
+
+        const timer = this.timer;
+        let progress;
+        if (timer.countUp) {
+            // Fill the ring once per configured work duration
+            progress = Math.min(1, timer.currentTime / ((timer.settings.workDuration || 25) * 60));
+        } else {
+            const totalTime = timer.sessionLength || 1;
+            progress = Math.min(1, (totalTime - timer.currentTime) / totalTime);
+        }
+        const circumference = 2 * Math.PI * 120; // r = 120
+
+        const strokeDasharray = circumference * progress;
+        this.progressCircle.style.strokeDasharray = `${strokeDasharray} ${circumference}`;
+
+        // Add pulse animation if running
+        const timerCircle = this.progressCircle.closest('.timer-circle');
+        if (timerCircle) {
+            timerCircle.classList.toggle('overtime', timer.inOvertime);
+            if (timer.settings.enableAnimations && timer.isRunning) {
+                timerCircle.classList.add('timer-pulse');
+            } else {
+                timerCircle.classList.remove('timer-pulse');
+            }
+        }
+    }
+
+    /**
+     * Update control buttons
+     */
+    updateControls() {
+        if (!this.startBtn || !this.pauseBtn) return;
+
+        const timer = this.timer;
+        if (timer.isRunning) {
+            this.startBtn.style.display = 'none';
+            this.pauseBtn.style.display = 'flex';
+        } else {
+            this.startBtn.style.display = 'flex';
+            this.pauseBtn.style.display = 'none';
+
+            const btnText = this.startBtn.querySelector('.btn-text');
+            if (btnText) {
+                btnText.textContent = timer.isPaused ? 'Tiếp tục' : 'Bắt đầu';
+            }
+        }
+
+        // In Flowtime and overtime the skip button ends the session
+        const skipText = this.skipBtn?.querySelector('.btn-text');
+        if (skipText) {
+            skipText.textContent = timer.countUp || timer.inOvertime ? 'Kết thúc' : 'Bỏ qua';
+        }
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * TimerFeedback - Sounds, spoken announcements and toast notifications for timer events
+ */
+
+import { showNotification } from '../utils/notification.js';
+import { fillTemplate, formatSpokenDuration } from '../utils/speech.js';
+
+export class TimerFeedback {
+    constructor(timer, audioManager) {
+        this.timer = timer;
+        this.audioManager = audioManager;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Subscribe to timer events
+     */
+    bindEvents() {
+        const timer = this.timer;
+
+        timer.on('start', ({ restored }) => {
+            if (!restored) {
+                showNotification('Timer đã bắt đầu!', 'success');
+            }
+        });
+
+        timer.on('resume', () => {
+            showNotification('Timer đã bắt đầu!', 'success');
+        });
+
+        timer.on('pause', () => {
+            showNotification('Timer đã tạm dừng', 'warning');
+        });
+
+        timer.on('reset', () => {
+            showNotification('Timer đã được đặt lại', 'info');
+        });
+
+        timer.on('skip', ({ countUp, overtime }) => {
+            if (countUp) {
+                showNotification('Đã kết thúc phiên Flowtime', 'info');
+            } else if (!overtime) {
+                showNotification('Đã bỏ qua phiên hiện tại', 'info');
+            }
+        });
+
+        // No sound for sessions that ended while the page was closed
+        timer.on('complete', ({ session, restored }) => {
+            if (restored) return;
+            this.audioManager.playNotification(session.type === 'work' ? 'workComplete' : 'breakComplete');
+        });
+
+        timer.on('sessionChange', payload => this.notifySessionChange(payload));
+
+        timer.on('overtime', () => {
+            this.audioManager.playNotification('workComplete', this.getAnnouncement('overtime'));
+            showNotification('Hết giờ! Hoàn thành nốt ý tưởng rồi bấm "Kết thúc" ⏱️', 'info');
+        });
+
+        timer.on('warning', ({ secondsLeft, final }) => {
+            if (final) {
+                this.audioManager.playWarningSound();
+                return;
+            }
+            this.audioManager.playSound(timer.settings.endWarningSound);
+            const left = formatSpokenDuration(secondsLeft);
+            this.audioManager.speak(this.getAnnouncement('timeLeft', { left }));
+            showNotification(`Còn ${left} nữa là hết ${timer.getSessionName()} ⏳`, 'info');
+        });
+
+        // Optional ticking during work sessions (the leader tab plays it)
+        timer.on('tick', ({ sessionType, time }) => {
+            if (timer.settings.enableTicking && sessionType === 'work' && !timer.countUp &&
+                !timer.inOvertime && !timer.follower && time > 0) {
+                this.audioManager.playTickSound();
+            }
+        });
+
+        timer.on('distraction', ({ seconds }) => {
+            if (!timer.settings.enableAwayPrompt || seconds < 10) return;
+            const away = seconds >= 60 ? `${Math.round(seconds / 60)} phút` : `${seconds} giây`;
+            showNotification(`Bạn vừa rời đi ${away}. Quay lại tập trung nhé 🌱`, 'info');
+        });
+
+        timer.on('pauseBudgetExceeded', ({ minutes }) => {
+            showNotification(`Đã tạm dừng quá ${minutes} phút! Quay lại tập trung nhé ⏰`, 'warning');
+        });
+
+        timer.on('abandon', () => {
+            showNotification('Phiên đã bị hủy vì tạm dừng quá lâu', 'warning');
+        });
+    }
+
+    /**
+     * Text to speak for an event, from the template in settings
+     * @param {string} eventId - see SPEECH_EVENTS
+     * @param {Object} values - extra placeholder values
+     */
+    getAnnouncement(eventId, values = {}) {
+        const template = this.timer.settings.speechTemplates?.[eventId];
+        const task = this.timer.currentSession === 'work' ? this.timer.taskManager?.getActiveTask() : null;
+
+        return fillTemplate(template, {
+            session: this.timer.getSessionName(),
+            minutes: Math.round(this.timer.sessionLength / 60),
+            task: task ? task.name : '',
+            ...values
+        });
+    }
+
+    /**
+     * Announce the next session
+     */
+    notifySessionChange({ to, reason, minutes, overtimeMinutes, restored }) {
+        if (restored) return;
+
+        // Only automatic transitions are read aloud, not the user's own changes (settings, quick timers, "+5 phút")
+        if (['earnedBreak', 'sequence', 'longBreak', 'shortBreak', 'work'].includes(reason)) {
+            this.audioManager.speak(this.getAnnouncement(to === 'work' ? 'workStart' : 'breakStart', { minutes }));
+        }
+
+        if (overtimeMinutes > 0) {
+            showNotification(`Làm thêm ${overtimeMinutes} phút, nghỉ ${minutes} phút 😊`, 'info');
+            return;
+        }
+
+        // Adaptive breaks explain their length
+        const breakReason = to !== 'work' ? this.timer.breakReason : null;
+        if (breakReason && (reason === 'shortBreak' || reason === 'longBreak' || reason === 'adaptive')) {
+            const label = reason === 'adaptive' ? 'Điều chỉnh giờ nghỉ' : this.timer.getSessionName();
+            showNotification(`${label}: ${minutes} phút vì ${breakReason} ⚖️`, 'info');
+            return;
+        }
+
+        switch (reason) {
+            case 'earnedBreak':
+                showNotification(`Nghỉ ${minutes} phút! Bạn đã tập trung rất tốt 😊`, 'success');
+                break;
+            case 'sequence':
+                showNotification(to === 'work'
+                    ? `${this.timer.getSessionName()} ${minutes} phút! Tập trung nào 💪`
+                    : `${this.timer.getSessionName()} ${minutes} phút! Thư giãn nhé 😊`, 'info');
+                break;
+            case 'longBreak':
+                showNotification('Nghỉ dài! Bạn đã hoàn thành một chu kỳ 🎉', 'success');
+                break;
+            case 'shortBreak':
+                showNotification('Nghỉ ngắn! Thư giãn nhé 😊', 'info');
+                break;
+            case 'work':
+                showNotification('Trở lại làm việc! Tập trung nào 💪', 'info');
+                break;
+            case 'quickTimer':
+                showNotification(`Đặt timer ${minutes} phút`, 'success');
+                break;
+            case 'extension':
+                showNotification(`Thêm ${minutes} phút cho ${this.timer.getSessionName()} ⏳`, 'info');
+                break;
+        }
+    }
+}
@@ -9,14 +9,35 @@ import { Settings } from './classes/Settings.js';
 import { AudioManager } from './classes/AudioManager.js';
 import { BackgroundManager } from './classes/BackgroundManager.js';
 import { PomodoroTimer } from './classes/PomodoroTimer.js';
+import { TimerDisplay } from './classes/TimerDisplay.js';
+import { TimerFeedback } from './classes/TimerFeedback.js';
+import { ReflectionPrompt } from './classes/ReflectionPrompt.js';
+import { SystemNotifier } from './classes/SystemNotifier.js';
+import { DailyGoalTracker } from './classes/DailyGoalTracker.js';
+import { CalendarHeatmap } from './classes/CalendarHeatmap.js';
+import { RoutineManager } from './classes/RoutineManager.js';
+import { GuidedBreak } from './classes/GuidedBreak.js';
+import { KeymapManager } from './classes/KeymapManager.js';
+import { CommandPalette } from './classes/CommandPalette.js';
+import { TabSync } from './classes/TabSync.js';
 import { LibraryManager } from './classes/LibraryManager.js';
 import { PresetManager } from './classes/PresetManager.js';
+import { TaskManager } from './classes/TaskManager.js';
+import { StudyTagManager } from './classes/StudyTagManager.js';
+import { SideTimerManager } from './classes/SideTimerManager.js';
 import { ScheduleManager } from './classes/ScheduleManager.js';
 import { ScheduleRenderer } from './utils/scheduleRenderer.js';
 import { DailyActivityManager } from './classes/DailyActivityManager.js';
 import { DailyScheduleRenderer } from './utils/DailyScheduleRenderer.js';
 import { ActivityScheduler } from './utils/ActivityScheduler.js';
 import { ScheduleValidator } from './utils/ScheduleValidator.js';
+import { SequenceEditor } from './utils/SequenceEditor.js';
+import { Router } from './utils/Router.js';
+import { KEYMAP_ACTIONS } from './utils/keymap.js';
+import { SPEECH_EVENTS, SPEECH_LANGUAGES, fillTemplate } from './utils/speech.js';
+import { STATS_RANGES, getStatsRange, getPreviousRange, getWeekRange, aggregateSessions, aggregateByStudyTag, compareTotals, localDateKey } from './utils/statsAggregator.js';
+import { WEEKDAY_NAMES, analyzeFocusPatterns, findBestFocusWindows } from './utils/focusPatterns.js';
+import { showNotification } from './utils/notification.js';
 
 class ChillPomodoroApp {
     constructor() {
@@ -24,16 +45,33 @@ class ChillPomodoroApp {
         this.audioManager = null;
         this.backgroundManager = null;
         this.timer = null;
+        this.tabSync = null;
+        this.timerDisplay = null;
+        this.timerFeedback = null;
+        this.reflectionPrompt = null;
+        this.systemNotifier = null;
+        this.dailyGoalTracker = null;
+        this.calendarHeatmap = null;
+        this.routineManager = null;
+        this.guidedBreak = null;
+        this.keymapManager = null;
+        this.commandPalette = null;
         this.libraryManager = null;
         this.presetManager = null;
+        this.taskManager = null;
+        this.studyTagManager = null;
+        this.sideTimerManager = null;
         this.scheduleManager = null;
         this.scheduleRenderer = null;
         this.dailyActivityManager = null;
         this.dailyScheduleRenderer = null;
         this.activityScheduler = null;
         this.scheduleValidator = null;
+        this.sequenceEditor = null;
+        this.router = null;
         this.currentTab = 'timer';
         this.currentScheduleType = 'class'; // 'class' or 'life'
+        this.courseWeekOffset = 0; // week shown in the per-course breakdown (0 = this week)
     }
 
     /**
@@ -54,26 +92,63 @@ class ChillPomodoroApp {
             this.backgroundManager = new BackgroundManager(this.settings);
             await this.backgroundManager.initPromise;
 
-            this.timer = new PomodoroTimer(this.settings, this.audioManager);
+            this.taskManager = new TaskManager();
+            await this.taskManager.loadTasks();
+
+            // Work sessions can be tagged with a course or a daily activity
+            this.scheduleManager = new ScheduleManager();
+            await this.scheduleManager.loadSchedules();
+            this.dailyActivityManager = new DailyActivityManager(this.scheduleManager);
+            this.studyTagManager = new StudyTagManager(this.scheduleManager, this.dailyActivityManager);
+
+            // Only one tab runs the timer; the others mirror it
+            this.tabSync = new TabSync(this.settings);
+            await this.tabSync.init();
+
+            this.timer = new PomodoroTimer(this.settings, this.taskManager, {
+                follower: !this.tabSync.isLeader,
+                studyTagManager: this.studyTagManager
+            });
+            this.tabSync.attach(this.timer);
+            this.timerDisplay = new TimerDisplay(this.timer);
+            this.timerFeedback = new TimerFeedback(this.timer, this.audioManager);
+            this.reflectionPrompt = new ReflectionPrompt(this.timer, this.settings);
+            this.systemNotifier = new SystemNotifier(this.timer, this.settings);
+            this.dailyGoalTracker = new DailyGoalTracker(this.timer, this.settings);
+            this.calendarHeatmap = new CalendarHeatmap(this.settings, dateKey => this.showHeatmapDay(dateKey));
+
+            this.routineManager = new RoutineManager(this.settings);
+            await this.routineManager.loadRoutines();
+            this.guidedBreak = new GuidedBreak(this.timer, this.settings, this.audioManager, this.routineManager);
+
+            // Restore the saved session now that every listener can see its catch-up completions
+            this.timer.loadState();
+            this.sideTimerManager = new SideTimerManager(this.audioManager, { follower: !this.tabSync.isLeader });
+            this.tabSync.onLeadership(() => this.sideTimerManager.becomeLeader());
 
             this.libraryManager = new LibraryManager(this.backgroundManager, this.audioManager);
             await this.libraryManager.loadAll();
 
-            this.presetManager = new PresetManager(this.settings, this.backgroundManager, this.audioManager);
+            this.presetManager = new PresetManager(this.settings, this.backgroundManager, this.audioManager, this.timer);
             await this.presetManager.loadPresets();
 
-            this.scheduleManager = new ScheduleManager();
-            await this.scheduleManager.loadSchedules();
             this.scheduleRenderer = new ScheduleRenderer(this.scheduleManager);
             
             this.activityScheduler = new ActivityScheduler();
             this.scheduleValidator = new ScheduleValidator();
-            this.dailyActivityManager = new DailyActivityManager(this.scheduleManager);
             this.dailyScheduleRenderer = new DailyScheduleRenderer(this.dailyActivityManager, this.activityScheduler);
+            this.sequenceEditor = new SequenceEditor(this.settings);
+            this.keymapManager = new KeymapManager(this.settings, actionId => this.runShortcut(actionId));
+            this.commandPalette = new CommandPalette(() => this.getPaletteItems());
 
             // Make managers globally accessible for onclick handlers
             window.libraryManager = this.libraryManager;
             window.presetManager = this.presetManager;
+            window.pomodoroTimer = this.timer; // timer events for user scripts: pomodoroTimer.on('complete', ...)
+            window.taskManager = this.taskManager;
+            window.sideTimerManager = this.sideTimerManager;
+            window.routineManager = this.routineManager;
+            window.keymapManager = this.keymapManager;
             window.scheduleManager = this.scheduleManager;
 
             // Seed default data on first run
@@ -85,6 +160,18 @@ class ChillPomodoroApp {
             // Initialize UI
             this.initializeUI();
 
+            // Service worker notifications (may run an action from the URL)
+            await this.systemNotifier.init();
+
+            // Deep links: #/<tab> routes and ?start=&type=&preset= commands
+            const tabs = Array.from(document.querySelectorAll('.nav-tab')).map(tab => tab.dataset.tab);
+            this.router = new Router(tabs, tab => this.switchTab(tab));
+            const initialTab = this.router.start();
+            if (initialTab) {
+                this.switchTab(initialTab);
+            }
+            await this.runUrlCommands();
+
             // Hide loading screen
             setTimeout(() => {
                 loading.classList.add('hidden');
@@ -202,6 +289,10 @@ class ChillPomodoroApp {
         document.getElementById('resetBtn')?.addEventListener('click', () => this.timer.reset());
         document.getElementById('skipBtn')?.addEventListener('click', () => this.timer.skip());
 
+        // Interruption logging
+        document.getElementById('internalInterruptionBtn')?.addEventListener('click', () => this.logInterruption('internal'));
+        document.getElementById('externalInterruptionBtn')?.addEventListener('click', () => this.logInterruption('external'));
+
         // Quick timer buttons
         document.querySelectorAll('.quick-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -211,6 +302,53 @@ class ChillPomodoroApp {
             });
         });
 
+        // Tasks
+        document.getElementById('activeTaskSelect')?.addEventListener('change', (e) => {
+            const id = e.target.value ? parseInt(e.target.value) : null;
+            this.taskManager.selectTask(id);
+        });
+
+        document.getElementById('activeTagSelect')?.addEventListener('change', (e) => {
+            this.studyTagManager.setActiveTag(e.target.value);
+        });
+
+        document.getElementById('taskForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.taskManager.addTaskFromForm();
+        });
+
+        // System notifications
+        document.getElementById('enableSystemNotificationsBtn')?.addEventListener('click', () => {
+            this.systemNotifier.requestPermission();
+        });
+
+        document.getElementById('dismissNotificationOnboardingBtn')?.addEventListener('click', () => {
+            this.systemNotifier.dismissOnboarding();
+        });
+
+        document.getElementById('enableSystemNotifications')?.addEventListener('change', (e) => {
+            // Ask right away so the permission prompt comes from the click
+            if (e.target.checked && this.systemNotifier.getPermission() !== 'granted') {
+                this.systemNotifier.requestPermission();
+            }
+        });
+
+        // Guided break routines
+        document.getElementById('routineForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.routineManager.addRoutineFromForm();
+        });
+
+        // Side timers
+        document.getElementById('sideTimerForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sideTimerManager.addTimerFromForm();
+        });
+
+        document.getElementById('sideTimerKind')?.addEventListener('change', () => {
+            this.sideTimerManager.toggleMinutesInput();
+        });
+
         // Navigation tabs
         document.querySelectorAll('.nav-tab').forEach(tab => {
             tab.addEventListener('click', () => {
@@ -236,8 +374,12 @@ class ChillPomodoroApp {
             }
         });
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        // Keyboard shortcuts (editable in settings)
+        document.getElementById('resetKeymapBtn')?.addEventListener('click', () => {
+            if (confirm('Khôi phục tất cả phím tắt về mặc định?')) {
+                this.keymapManager.resetToDefaults();
+            }
+        });
 
         // Visibility change (tab switching)
         document.addEventListener('visibilitychange', () => {
@@ -266,6 +408,24 @@ class ChillPomodoroApp {
             document.getElementById('volumeDisplay').textContent = e.target.value + '%';
         });
 
+        // Spoken announcements
+        document.getElementById('speechRate')?.addEventListener('input', (e) => {
+            document.getElementById('speechRateDisplay').textContent = e.target.value + 'x';
+        });
+
+        document.getElementById('speechLang')?.addEventListener('change', () => {
+            this.populateSpeechVoiceSelect(document.getElementById('speechLang').value, '');
+        });
+
+        document.getElementById('previewSpeechBtn')?.addEventListener('click', () => this.previewSpeech());
+
+        // Voices load asynchronously in most browsers
+        window.speechSynthesis?.addEventListener?.('voiceschanged', () => {
+            const lang = document.getElementById('speechLang')?.value || this.settings.speechLang;
+            const voice = document.getElementById('speechVoice')?.value ?? this.settings.speechVoice;
+            this.populateSpeechVoiceSelect(lang, voice);
+        });
+
         document.getElementById('backgroundMusicVolume')?.addEventListener('input', (e) => {
             const volume = parseInt(e.target.value);
             document.getElementById('musicVolumeDisplay').textContent = volume + '%';
@@ -279,6 +439,26 @@ class ChillPomodoroApp {
             this.backgroundManager.setBackgroundOpacity();
         });
 
+        // Cycle sequence editor
+        document.getElementById('addSequenceStepBtn')?.addEventListener('click', () => {
+            this.sequenceEditor.addStep();
+        });
+
+        document.querySelectorAll('.sequence-template-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.sequenceEditor.applyTemplate(btn.dataset.template);
+            });
+        });
+
+        // Timer mode change
+        document.getElementById('timerMode')?.addEventListener('change', (e) => {
+            this.settings.toggleFlowtimeFields(e.target.value);
+        });
+
+        document.getElementById('breakMode')?.addEventListener('change', (e) => {
+            this.settings.toggleAdaptiveBreakFields(e.target.value);
+        });
+
         // Background type change
         document.getElementById('backgroundType')?.addEventListener('change', (e) => {
             this.settings.backgroundType = e.target.value;
@@ -316,6 +496,54 @@ class ChillPomodoroApp {
         });
 
         // Stats
+        const statsRange = document.getElementById('statsRange');
+        if (statsRange) {
+            statsRange.innerHTML = STATS_RANGES
+                .map(range => `<option value="${range.id}">${range.label}</option>`)
+                .join('');
+            statsRange.addEventListener('change', () => {
+                this.toggleCustomRangeFields();
+                this.updateStatistics();
+            });
+        }
+        ['statsFrom', 'statsTo'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateStatistics());
+        });
+
+        document.getElementById('focusChartMode')?.addEventListener('change', async () => {
+            try {
+                await this.updateFocusStats();
+            } catch (error) {
+                console.error('Error loading session history:', error);
+            }
+        });
+
+        document.getElementById('hourChartMode')?.addEventListener('change', async () => {
+            try {
+                await this.updateFocusPatterns();
+            } catch (error) {
+                console.error('Error loading session history:', error);
+            }
+        });
+
+        document.getElementById('courseWeekPrev')?.addEventListener('click', async () => {
+            this.courseWeekOffset++;
+            try {
+                await this.updateCourseBreakdown();
+            } catch (error) {
+                console.error('Error loading session history:', error);
+            }
+        });
+
+        document.getElementById('courseWeekNext')?.addEventListener('click', async () => {
+            this.courseWeekOffset = Math.max(0, this.courseWeekOffset - 1);
+            try {
+                await this.updateCourseBreakdown();
+            } catch (error) {
+                console.error('Error loading session history:', error);
+            }
+        });
+
         document.getElementById('exportBtn')?.addEventListener('click', () => {
             storageManager.exportData();
         });
@@ -421,7 +649,7 @@ class ChillPomodoroApp {
             console.log(`Schedule has ${validCourses.length} valid courses out of ${schedule.courses.length} total`);
 
             // Show success
-            this.showNotification('Tạo lịch học thành công!', 'success');
+            showNotification('Tạo lịch học thành công!', 'success');
 
             // Render schedule list
             await this.renderSchedules();
@@ -438,7 +666,7 @@ class ChillPomodoroApp {
         } catch (error) {
             console.error('Error uploading schedule:', error);
             this.scheduleRenderer.showError(scheduleList, error.message || 'Có lỗi xảy ra khi tạo lịch học.');
-            this.showNotification('Lỗi: ' + (error.message || 'Không thể tạo lịch học'), 'danger');
+            showNotification('Lỗi: ' + (error.message || 'Không thể tạo lịch học'), 'danger');
         }
     }
 
@@ -467,7 +695,7 @@ class ChillPomodoroApp {
                 // Delete schedule
                 await this.scheduleManager.deleteSchedule(id);
                 await this.renderSchedules();
-                this.showNotification('Đã xóa lịch học', 'success');
+                showNotification('Đã xóa lịch học', 'success');
                 
                 // Hide table if deleted schedule was being viewed
                 const container = document.getElementById('scheduleTableContainer');
@@ -585,7 +813,7 @@ class ChillPomodoroApp {
                         const id = parseInt(btn.dataset.id);
                         await this.dailyActivityManager.deleteDailyActivitySchedule(id);
                         await this.renderDailySchedules();
-                        this.showNotification('Đã xóa lịch sinh hoạt', 'success');
+                        showNotification('Đã xóa lịch sinh hoạt', 'success');
                     }
                 });
             });
@@ -686,7 +914,7 @@ class ChillPomodoroApp {
         const saveDraftBtn = document.getElementById('saveDraftBtn');
         if (saveDraftBtn) {
             saveDraftBtn.addEventListener('click', () => {
-                this.showNotification('Tính năng lưu nháp sẽ sớm có mặt', 'info');
+                showNotification('Tính năng lưu nháp sẽ sớm có mặt', 'info');
             });
         }
 
@@ -728,7 +956,7 @@ class ChillPomodoroApp {
                     newBtn.disabled = false;
                     newBtn.innerHTML = '✅ Tạo Lịch';
                     
-                    this.showNotification('Lỗi khi tạo lịch: ' + (error.message || 'Lỗi không xác định'), 'danger');
+                    showNotification('Lỗi khi tạo lịch: ' + (error.message || 'Lỗi không xác định'), 'danger');
                 }
             });
             
@@ -748,7 +976,7 @@ class ChillPomodoroApp {
             // Step 1: Validate date
             const dateValidation = this.scheduleValidator.validateDate(targetDate);
             if (!dateValidation.isValid) {
-                this.showNotification(dateValidation.errors.join('. '), 'warning');
+                showNotification(dateValidation.errors.join('. '), 'warning');
                 return;
             }
 
@@ -815,7 +1043,7 @@ class ChillPomodoroApp {
                 const validation = this.scheduleValidator.validateActivity(activity);
                 if (!validation.isValid) {
                     console.warn(`Activity validation failed: ${validation.errors.join(', ')}`);
-                    this.showNotification(
+                    showNotification(
                         `Lỗi trong hoạt động "${courseName}": ${validation.errors.join(', ')}`,
                         'warning'
                     );
@@ -861,7 +1089,7 @@ class ChillPomodoroApp {
                 const validation = this.scheduleValidator.validateActivity(activity);
                 if (!validation.isValid) {
                     console.warn(`Activity validation failed: ${validation.errors.join(', ')}`);
-                    this.showNotification(
+                    showNotification(
                         `Lỗi trong hoạt động "${activityName}": ${validation.errors.join(', ')}`,
                         'warning'
                     );
@@ -876,7 +1104,7 @@ class ChillPomodoroApp {
             // Step 4: Validate activities array
             const activitiesValidation = this.scheduleValidator.validateActivities(activities);
             if (!activitiesValidation.isValid) {
-                this.showNotification(activitiesValidation.errors.join('. '), 'warning');
+                showNotification(activitiesValidation.errors.join('. '), 'warning');
                 return;
             }
 
@@ -887,7 +1115,7 @@ class ChillPomodoroApp {
             
             const notesValidation = this.scheduleValidator.validateNotes(notes);
             if (!notesValidation.isValid) {
-                this.showNotification(notesValidation.errors.join('. '), 'warning');
+                showNotification(notesValidation.errors.join('. '), 'warning');
                 return;
             }
 
@@ -958,7 +1186,7 @@ class ChillPomodoroApp {
 
             if (skippedMorning > 0 || skippedAfternoon > 0) {
                 const skippedCount = skippedMorning + skippedAfternoon;
-                this.showNotification(
+                showNotification(
                     `Đã tạo lịch nhưng ${skippedCount} hoạt động không thể sắp xếp do thiếu thời gian.`,
                     'warning'
                 );
@@ -968,7 +1196,7 @@ class ChillPomodoroApp {
             const allScheduledActivities = [...scheduledMorning, ...scheduledAfternoon];
 
             if (allScheduledActivities.length === 0) {
-                this.showNotification('Không có hoạt động nào được sắp xếp vào lịch. Vui lòng kiểm tra lại thời gian.', 'warning');
+                showNotification('Không có hoạt động nào được sắp xếp vào lịch. Vui lòng kiểm tra lại thời gian.', 'warning');
                 return;
             }
 
@@ -981,7 +1209,7 @@ class ChillPomodoroApp {
             );
             console.log('Schedule created successfully:', schedule);
 
-            this.showNotification('Đã tạo lịch sinh hoạt thành công!', 'success');
+            showNotification('Đã tạo lịch sinh hoạt thành công!', 'success');
             
             // Step 12: Render the created schedule
             const container = document.getElementById('dailyScheduleContainer');
@@ -1001,7 +1229,7 @@ class ChillPomodoroApp {
         } catch (error) {
             console.error('Error creating daily schedule:', error);
             console.error('Error stack:', error.stack);
-            this.showNotification(
+            showNotification(
                 error.message || 'Không thể tạo lịch sinh hoạt. Vui lòng thử lại.',
                 'danger'
             );
@@ -1031,7 +1259,7 @@ class ChillPomodoroApp {
                     }
                 } catch (error) {
                     console.error('Error updating activity status:', error);
-                    this.showNotification('Không thể cập nhật trạng thái', 'danger');
+                    showNotification('Không thể cập nhật trạng thái', 'danger');
                 }
             });
         });
@@ -1054,7 +1282,7 @@ class ChillPomodoroApp {
                     }
                 } catch (error) {
                     console.error('Error updating activity status:', error);
-                    this.showNotification('Không thể cập nhật trạng thái', 'danger');
+                    showNotification('Không thể cập nhật trạng thái', 'danger');
                 }
             });
         });
@@ -1063,7 +1291,7 @@ class ChillPomodoroApp {
         const editBtn = document.getElementById('editScheduleBtn');
         if (editBtn) {
             editBtn.addEventListener('click', () => {
-                this.showNotification('Tính năng chỉnh sửa sẽ sớm có mặt', 'info');
+                showNotification('Tính năng chỉnh sửa sẽ sớm có mặt', 'info');
             });
         }
 
@@ -1076,10 +1304,10 @@ class ChillPomodoroApp {
                         const container = document.getElementById('dailyScheduleContainer');
                         if (container) container.style.display = 'none';
                         await this.renderDailySchedules();
-                        this.showNotification('Đã xóa lịch sinh hoạt', 'success');
+                        showNotification('Đã xóa lịch sinh hoạt', 'success');
                     } catch (error) {
                         console.error('Error deleting schedule:', error);
-                        this.showNotification('Không thể xóa lịch sinh hoạt', 'danger');
+                        showNotification('Không thể xóa lịch sinh hoạt', 'danger');
                     }
                 }
             });
@@ -1107,7 +1335,7 @@ class ChillPomodoroApp {
             }
         } catch (error) {
             console.error('Error viewing today schedule:', error);
-            this.showNotification('Không thể tải lịch hôm nay', 'danger');
+            showNotification('Không thể tải lịch hôm nay', 'danger');
         }
     }
 
@@ -1322,7 +1550,7 @@ class ChillPomodoroApp {
 
                     bgDropdown.classList.remove('show');
 
-                    this.showNotification('Đã chọn background!', 'success');
+                    showNotification('Đã chọn background!', 'success');
                 });
             });
         }
@@ -1400,11 +1628,18 @@ class ChillPomodoroApp {
      */
     initializeUI() {
         // Load settings to form
+        this.populateWarningSoundSelect();
+        this.populateSpeechSettings();
+        this.routineManager.renderRoutineSelects();
+        this.routineManager.render();
+        this.keymapManager.render();
         this.settings.loadToForm();
+        this.sequenceEditor.render(this.settings.cycleSequence);
 
         // Update timer display
-        this.timer.updateDisplay();
-        this.timer.updateControls();
+        this.timerDisplay.render();
+        this.dailyGoalTracker.render();
+        this.guidedBreak.openForCurrentBreak();
 
         // Populate background type select
         this.populateBackgroundTypeSelect();
@@ -1413,6 +1648,10 @@ class ChillPomodoroApp {
         this.libraryManager.renderAnimations();
         this.libraryManager.renderSounds();
         this.presetManager.renderPresets();
+        this.taskManager.render();
+        this.studyTagManager.render();
+        this.sideTimerManager.renderSoundOptions();
+        this.sideTimerManager.render();
 
         // Render per-track sliders
         this.renderPerTrackSliders();
@@ -1488,6 +1727,81 @@ class ChillPomodoroApp {
         select.value = this.settings.backgroundType || 'none';
     }
 
+    /**
+     * Fill the end-of-session warning sound select (built-in and library sounds)
+     */
+    populateWarningSoundSelect() {
+        const select = document.getElementById('endWarningSound');
+        if (!select) return;
+
+        select.innerHTML = this.audioManager.getSoundChoices()
+            .map(choice => `<option value="${choice.id}">${choice.name}</option>`)
+            .join('');
+        select.value = this.settings.endWarningSound || 'warning';
+    }
+
+    /**
+     * Fill the speech language/voice selects and the per-event template fields
+     */
+    populateSpeechSettings() {
+        const langSelect = document.getElementById('speechLang');
+        if (langSelect) {
+            langSelect.innerHTML = SPEECH_LANGUAGES
+                .map(lang => `<option value="${lang.id}">${lang.name}</option>`)
+                .join('');
+            langSelect.value = this.settings.speechLang;
+        }
+        this.populateSpeechVoiceSelect(this.settings.speechLang, this.settings.speechVoice);
+
+        const templates = document.getElementById('speechTemplates');
+        if (templates) {
+            templates.innerHTML = SPEECH_EVENTS.map(event => `
+                <label>${event.label}
+                    <input type="text" id="speechTemplate-${event.id}" maxlength="120" placeholder="${event.template}">
+                </label>
+            `).join('');
+        }
+
+        const supported = this.audioManager.isSpeechSupported();
+        ['enableSpeech', 'previewSpeechBtn'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.disabled = !supported;
+        });
+    }
+
+    /**
+     * List installed voices, those matching the language first
+     */
+    populateSpeechVoiceSelect(lang, selected) {
+        const select = document.getElementById('speechVoice');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Giọng mặc định</option>' + this.audioManager.getVoices(lang)
+            .map(voice => `<option value="${voice.voiceURI}">${voice.name} (${voice.lang})</option>`)
+            .join('');
+        select.value = selected || '';
+        if (select.value !== (selected || '')) {
+            select.value = '';
+        }
+    }
+
+    /**
+     * Read a sample announcement with the voice, language and rate chosen in the form
+     */
+    previewSpeech() {
+        const template = document.getElementById('speechTemplate-breakStart')?.value || SPEECH_EVENTS[0].template;
+        const text = fillTemplate(template, {
+            session: this.settings.getSessionName('shortBreak'),
+            minutes: this.settings.shortBreakDuration
+        });
+
+        this.audioManager.speak(text, {
+            lang: document.getElementById('speechLang')?.value,
+            voice: document.getElementById('speechVoice')?.value,
+            rate: parseFloat(document.getElementById('speechRate')?.value) || 1
+        });
+    }
+
     /**
      * Switch tab
      */
@@ -1514,7 +1828,10 @@ class ChillPomodoroApp {
         }
 
         // Re-render libraries if switching to library tabs
-        if (tabName === 'animations') {
+        if (tabName === 'timer') {
+            this.sideTimerManager.renderSoundOptions(); // library sounds may have changed
+            this.studyTagManager.render(); // schedules may have changed
+        } else if (tabName === 'animations') {
             this.libraryManager.renderAnimations();
             this.populateDropdowns(); // Refresh dropdowns
         } else if (tabName === 'sounds') {
@@ -1524,6 +1841,52 @@ class ChillPomodoroApp {
             this.presetManager.renderPresets();
         } else if (tabName === 'schedules') {
             this.renderSchedules();
+        } else if (tabName === 'settings') {
+            // Presets may have changed settings since the form was filled
+            this.populateWarningSoundSelect();
+            this.populateSpeechSettings();
+            this.routineManager.renderRoutineSelects();
+            this.keymapManager.render();
+            this.settings.loadToForm();
+            this.sequenceEditor.render(this.settings.cycleSequence);
+            this.systemNotifier.renderStatus();
+        }
+
+        this.router?.navigate(tabName);
+    }
+
+    /**
+     * Apply commands from the URL, e.g. ?preset=Deep%20Focus&start=50&type=work
+     * - preset: load a preset by name
+     * - type: session type (work, shortBreak, longBreak)
+     * - start: start the timer, with an optional length in minutes
+     */
+    async runUrlCommands() {
+        const { start, type, preset } = this.router.takeCommands();
+
+        if (preset) {
+            const found = this.presetManager.findPresetByName(preset);
+            if (found) {
+                await this.presetManager.loadPreset(found.id);
+                showNotification(`Đã áp dụng preset "${found.name}"`, 'success');
+            } else {
+                showNotification(`Không tìm thấy preset "${preset.replace(/[<>]/g, '')}"`, 'warning');
+            }
+        }
+
+        if (start === null && !type) return;
+
+        const sessionType = ['work', 'shortBreak', 'longBreak'].includes(type) ? type : 'work';
+        const minutes = parseInt(start);
+        if (minutes > 0 && minutes <= 240) {
+            this.timer.setQuickTimer(minutes, sessionType);
+        } else if (type) {
+            this.timer.setQuickTimer(this.settings.getSessionDuration(sessionType), sessionType);
+        }
+
+        if (start !== null) {
+            this.switchTab('timer');
+            this.timer.start();
         }
     }
 
@@ -1546,6 +1909,7 @@ class ChillPomodoroApp {
      * Save settings
      */
     saveSettings() {
+        this.settings.cycleSequence = this.sequenceEditor.getSteps();
         this.settings.saveFromForm();
         this.backgroundManager.applyBackground();
 
@@ -1557,14 +1921,16 @@ class ChillPomodoroApp {
 
         // Update timer if not running
         if (!this.timer.isRunning) {
-            this.timer.setSessionTime();
-            this.timer.updateDisplay();
+            this.timer.refreshSessionFromSettings();
         }
 
+        this.sequenceEditor.render(this.settings.cycleSequence);
+        this.dailyGoalTracker.render();
+
         // Update background type select
         this.populateBackgroundTypeSelect();
 
-        this.showNotification('Cài đặt đã được lưu!', 'success');
+        showNotification('Cài đặt đã được lưu!', 'success');
     }
 
     /**
@@ -1574,58 +1940,463 @@ class ChillPomodoroApp {
         if (confirm('Bạn có chắc chắn muốn đặt lại tất cả cài đặt về mặc định?')) {
             this.settings.reset();
             this.settings.loadToForm();
-            this.showNotification('Cài đặt đã được đặt lại!', 'success');
+            this.sequenceEditor.render(this.settings.cycleSequence);
+            this.keymapManager.render();
+            showNotification('Cài đặt đã được đặt lại!', 'success');
         }
     }
 
     /**
-     * Handle keyboard shortcuts
+     * Run a keyboard shortcut or command palette action (ids from utils/keymap.js)
      */
-    handleKeyboard(e) {
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') {
-            return;
-        }
+    runShortcut(actionId) {
+        const [kind, arg] = actionId.split(':');
 
-        switch (e.key.toLowerCase()) {
-            case ' ':
-                e.preventDefault();
+        switch (kind) {
+            case 'toggleTimer':
                 if (this.timer.isRunning) {
                     this.timer.pause();
                 } else {
                     this.timer.start();
                 }
                 break;
-            case 'r':
-                e.preventDefault();
+            case 'reset':
                 this.timer.reset();
                 break;
-            case 's':
-                e.preventDefault();
+            case 'skip':
                 this.timer.skip();
                 break;
+            case 'interruptInternal':
+                this.logInterruption('internal');
+                break;
+            case 'interruptExternal':
+                this.logInterruption('external');
+                break;
+            case 'quick':
+                this.timer.setQuickTimer(parseInt(arg), 'work');
+                break;
+            case 'tab':
+                this.switchTab(arg);
+                break;
+            case 'preset':
+                this.loadPresetByPosition(parseInt(arg));
+                break;
+            case 'toggleMusic':
+                this.toggleMusic();
+                break;
+            case 'toggleBackgroundMode':
+                this.backgroundManager.toggleBackgroundOnlyMode();
+                break;
+            case 'toggleTheme':
+                this.toggleTheme();
+                break;
+            case 'commandPalette':
+                this.commandPalette.toggle();
+                break;
+        }
+    }
+
+    /**
+     * Load the Nth preset in the presets list (1-based)
+     */
+    async loadPresetByPosition(position) {
+        const preset = this.presetManager.presets[position - 1];
+        if (!preset) {
+            showNotification(`Chưa có preset số ${position}`, 'warning');
+            return;
+        }
+
+        await this.presetManager.loadPreset(preset.id);
+        showNotification(`Đã áp dụng preset "${preset.name}"`, 'success');
+    }
+
+    /**
+     * Command palette entries: shortcut actions, presets, library sounds and backgrounds
+     */
+    getPaletteItems() {
+        const commands = KEYMAP_ACTIONS
+            .filter(action => action.id !== 'commandPalette' && !action.id.startsWith('preset:'))
+            .map(action => ({
+                group: 'Lệnh',
+                label: action.label,
+                hint: this.keymapManager.getShortcutLabel(action.id),
+                run: () => this.runShortcut(action.id)
+            }));
+
+        const presets = this.presetManager.presets.map((preset, index) => ({
+            group: 'Preset',
+            label: preset.name,
+            hint: index < 9 ? this.keymapManager.getShortcutLabel(`preset:${index + 1}`) : '',
+            run: async () => {
+                await this.presetManager.loadPreset(preset.id);
+                showNotification(`Đã áp dụng preset "${preset.name}"`, 'success');
+            }
+        }));
+
+        const sounds = this.libraryManager.sounds.map(sound => ({
+            group: 'Nhạc nền',
+            label: sound.name,
+            hint: '',
+            run: () => this.libraryManager.useSound(sound.id)
+        }));
+
+        const backgrounds = this.libraryManager.animations.map(animation => ({
+            group: 'Hình nền',
+            label: animation.name,
+            hint: '',
+            run: () => this.libraryManager.useAnimation(animation.id)
+        }));
+
+        return [...commands, ...presets, ...sounds, ...backgrounds];
+    }
+
+    /**
+     * Log an interruption on the running work session, with an optional note
+     */
+    logInterruption(type) {
+        if (!this.timer.canLogInterruption()) {
+            showNotification('Chỉ ghi nhận gián đoạn khi đang trong phiên làm việc', 'warning');
+            return;
+        }
+
+        const label = type === 'external' ? 'bên ngoài' : 'nội bộ';
+        const note = prompt(`Ghi chú gián đoạn ${label} (không bắt buộc):`, '');
+        if (note === null) return;
+
+        if (this.timer.logInterruption(type, note)) {
+            showNotification(`Đã ghi nhận gián đoạn ${label}`, 'info');
         }
     }
 
     /**
      * Update statistics
      */
-    updateStatistics() {
+    async updateStatistics() {
         const stats = this.timer.getStatistics();
 
         // Update summary cards
         document.getElementById('totalPomodoros').textContent = stats.completedPomodoros || 0;
         document.getElementById('totalWorkTime').textContent = this.timer.formatTime(stats.totalWorkTime || 0);
         document.getElementById('totalBreakTime').textContent = this.timer.formatTime(stats.totalBreakTime || 0);
+        document.getElementById('totalPausedTime').textContent = this.timer.formatTime(Math.round((stats.totalPausedSeconds || 0) / 60));
         document.getElementById('currentStreak').textContent = stats.currentStreak || 0;
 
-        // Update chart
-        this.updateChart(stats.sessionHistory || []);
+        // Update daily goal results
+        this.dailyGoalTracker.renderHistory();
+
+        try {
+            const weekSessions = await this.getWeekSessions();
+
+            // Update chart and comparison for the selected range
+            const { current, previous } = await this.loadRangeStats();
+            this.updateChart(current, previous);
+            this.renderRangeComparison(current, previous);
+
+            // Update focus ratings and notes
+            await this.updateFocusStats(current);
+
+            // Update time-of-day and weekday patterns
+            await this.updateFocusPatterns(current);
+
+            // Update focus per course
+            await this.updateCourseBreakdown();
+
+            // Update interruptions
+            const recentWork = await storageManager.getSessions({ type: 'work', limit: 10 });
+            this.updateInterruptionStats(weekSessions, recentWork);
+
+            // Update the year heatmap and the selected day
+            await this.calendarHeatmap.render();
+            if (this.calendarHeatmap.selectedKey) {
+                await this.showHeatmapDay(this.calendarHeatmap.selectedKey);
+            }
+        } catch (error) {
+            console.error('Error loading session history:', error);
+        }
     }
 
     /**
-     * Update activity chart
+     * Show the sessions and daily activity schedule of a heatmap day
+     * @param {string} dateKey - YYYY-MM-DD
      */
-    updateChart(sessions) {
+    async showHeatmapDay(dateKey) {
+        const container = document.getElementById('heatmapDayDetail');
+        if (!container) return;
+
+        const from = this.dailyActivityManager.parseDate(dateKey);
+        const to = new Date(from);
+        to.setDate(to.getDate() + 1);
+        to.setMilliseconds(-1);
+
+        const [sessions, schedule] = await Promise.all([
+            storageManager.getSessions({ from, to, newestFirst: false }),
+            this.dailyActivityManager.getDailyActivitySchedule(from)
+        ]);
+
+        const sessionIcons = { work: '🍅', shortBreak: '☕', longBreak: '🌴' };
+        const sessionRows = sessions.map(s => `
+            <tr>
+                <td>${new Date(s.timestamp).toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' })}</td>
+                <td>${sessionIcons[s.type] || ''} ${this.timer.formatTime(s.duration || 0)}${s.completed ? '' : ' <span class="text-muted">(bỏ dở)</span>'}</td>
+                <td>${s.taskName || ''}</td>
+                <td>${s.focusRating ? '★'.repeat(s.focusRating) + '☆'.repeat(5 - s.focusRating) : ''}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="heatmap-day-header">
+                <h4>${this.dailyScheduleRenderer.getDayOfWeekName(from)}, ${this.dailyScheduleRenderer.formatDateDisplay(from)}</h4>
+                <button type="button" class="btn-action secondary" id="closeHeatmapDayBtn">✕</button>
+            </div>
+            ${sessions.length > 0 ? `
+                <table class="stats-table">
+                    <thead>
+                        <tr>
+                            <th>Kết thúc</th>
+                            <th>Phiên</th>
+                            <th>Công việc</th>
+                            <th>Tập trung</th>
+                        </tr>
+                    </thead>
+                    <tbody>${sessionRows}</tbody>
+                </table>
+            ` : '<div class="text-muted">Không có phiên nào trong ngày này</div>'}
+            <h4 class="mt-2">🏠 Lịch sinh hoạt</h4>
+            ${schedule ? `
+                <div class="heatmap-day-schedule">
+                    <span>✅ ${schedule.completedActivities}/${schedule.totalActivities} hoàn thành · 📚 ${schedule.totalStudyTime} phút học</span>
+                    <button type="button" class="btn-action secondary" id="openHeatmapScheduleBtn">📅 Xem lịch</button>
+                </div>
+            ` : '<div class="text-muted">Không có lịch sinh hoạt cho ngày này</div>'}
+        `;
+        container.style.display = 'block';
+
+        document.getElementById('closeHeatmapDayBtn')?.addEventListener('click', () => {
+            container.style.display = 'none';
+            this.calendarHeatmap.select(null);
+        });
+        document.getElementById('openHeatmapScheduleBtn')?.addEventListener('click', () => {
+            this.openDailySchedule(schedule);
+        });
+    }
+
+    /**
+     * Open a daily activity schedule in the schedules tab
+     */
+    openDailySchedule(schedule) {
+        this.switchTab('schedules');
+        document.querySelector('.schedule-type-btn[data-type="life"]')?.click();
+
+        const container = document.getElementById('dailyScheduleContainer');
+        this.dailyScheduleRenderer.renderDailySchedule(container, schedule);
+        if (container) {
+            container.style.display = 'block';
+            container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        this.setupDailyScheduleActions(schedule);
+    }
+
+    /**
+     * Range chosen in the stats tab
+     */
+    getSelectedStatsRange() {
+        return getStatsRange(document.getElementById('statsRange')?.value || 'week', {
+            from: document.getElementById('statsFrom')?.value,
+            to: document.getElementById('statsTo')?.value
+        });
+    }
+
+    /**
+     * Show the date fields for a custom range, starting from the last 30 days
+     */
+    toggleCustomRangeFields() {
+        const custom = document.getElementById('statsRange')?.value === 'custom';
+        const fields = document.getElementById('statsCustomRange');
+        if (fields) fields.style.display = custom ? 'flex' : 'none';
+
+        const from = document.getElementById('statsFrom');
+        const to = document.getElementById('statsTo');
+        if (custom && from && to && !from.value && !to.value) {
+            const range = getStatsRange('month');
+            from.value = localDateKey(range.from);
+            to.value = localDateKey(range.to);
+        }
+    }
+
+    /**
+     * Aggregates of the selected range and of the period just before it
+     */
+    async loadRangeStats() {
+        const range = this.getSelectedStatsRange();
+        const previousRange = getPreviousRange(range);
+        const [sessions, previousSessions] = await Promise.all([
+            storageManager.getSessions({ from: range.from, to: range.to }),
+            storageManager.getSessions({ from: previousRange.from, to: previousRange.to })
+        ]);
+
+        return {
+            current: { range, sessions, ...aggregateSessions(sessions, range) },
+            previous: { range: previousRange, ...aggregateSessions(previousSessions, previousRange) }
+        };
+    }
+
+    /**
+     * Totals of the selected range against the previous period
+     */
+    renderRangeComparison(current, previous) {
+        const container = document.getElementById('statsComparison');
+        if (!container) return;
+
+        const comparison = compareTotals(current.totals, previous.totals);
+        const formatPeriod = ({ from, to }) => {
+            const options = { day: '2-digit', month: '2-digit', year: 'numeric' };
+            return `${from.toLocaleDateString('vi-VN', options)} – ${to.toLocaleDateString('vi-VN', options)}`;
+        };
+        const metrics = [
+            { name: 'workMinutes', icon: '⏱️', label: 'Tập trung', format: value => this.timer.formatTime(value) },
+            { name: 'pomodoros', icon: '🍅', label: 'Pomodoros', format: value => value },
+            { name: 'dailyAverage', icon: '📅', label: 'TB mỗi ngày', format: value => this.timer.formatTime(value) },
+            { name: 'activeDays', icon: '🔥', label: 'Ngày hoạt động', format: value => value },
+            { name: 'focus', icon: '⭐', label: 'Mức tập trung', format: value => value === null ? '–' : `${value}/5` }
+        ];
+
+        container.innerHTML = `
+            <div class="stats-period text-muted">
+                ${formatPeriod(current.range)} so với kỳ trước (${formatPeriod(previous.range)})
+            </div>
+            <div class="stats-comparison-cards">
+                ${metrics.map(metric => {
+                    const { value, previous: before, change } = comparison[metric.name];
+                    const trend = change === null ? 'same' : change > 0 ? 'up' : change < 0 ? 'down' : 'same';
+                    const changeText = change === null ? '' : `${change > 0 ? '▲' : change < 0 ? '▼' : ''} ${Math.abs(change)}%`;
+                    return `
+                        <div class="stats-comparison-card" title="Kỳ trước: ${metric.format(before)}">
+                            <span class="stats-comparison-label">${metric.icon} ${metric.label}</span>
+                            <strong>${metric.format(value)}</strong>
+                            <span class="stats-change ${trend}">${changeText}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Sessions of the last 7 days (today included), newest first
+     */
+    getWeekSessions() {
+        const from = new Date();
+        from.setHours(0, 0, 0, 0);
+        from.setDate(from.getDate() - 6);
+        return storageManager.getSessions({ from });
+    }
+
+    /**
+     * Update per-day interruption counts and paused time (last 7 days)
+     * @param {Array} sessions - sessions of the last 7 days
+     * @param {Array} recentWork - latest work sessions for the detail table
+     */
+    updateInterruptionStats(sessions, recentWork = []) {
+        const container = document.getElementById('interruptionStats');
+        if (!container) return;
+
+        const days = [];
+        const today = new Date();
+
+        for (let i = 6; i >= 0; i--) {
+            const date = new Date(today);
+            date.setDate(date.getDate() - i);
+            days.push({
+                key: date.toDateString(),
+                label: date.toLocaleDateString('vi-VN', { weekday: 'short', day: '2-digit', month: '2-digit' }),
+                internal: 0,
+                external: 0,
+                pausedSeconds: 0,
+                awayCount: 0,
+                awaySeconds: 0
+            });
+        }
+
+        sessions.forEach(session => {
+            const sessionDay = days.find(d => d.key === new Date(session.timestamp).toDateString());
+            if (sessionDay) {
+                sessionDay.pausedSeconds += session.pausedSeconds || 0;
+                sessionDay.awayCount += session.awayCount || 0;
+                sessionDay.awaySeconds += session.awaySeconds || 0;
+            }
+
+            if (session.type !== 'work' || !Array.isArray(session.interruptions)) return;
+            session.interruptions.forEach(interruption => {
+                const day = days.find(d => d.key === new Date(interruption.timestamp).toDateString());
+                if (day) {
+                    day[interruption.type === 'external' ? 'external' : 'internal']++;
+                }
+            });
+        });
+
+        const total = days.reduce((sum, d) => sum + d.internal + d.external + d.pausedSeconds + d.awayCount, 0);
+        if (total === 0) {
+            container.innerHTML = '<div class="text-muted">Không có gián đoạn hay tạm dừng nào trong 7 ngày qua 🎉</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th>Ngày</th>
+                        <th>🧠 Nội bộ</th>
+                        <th>📞 Bên ngoài</th>
+                        <th>Tổng</th>
+                        <th>⏸️ Tạm dừng</th>
+                        <th>🚪 Rời tab</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${days.slice().reverse().map(d => `
+                        <tr>
+                            <td>${d.label}</td>
+                            <td>${d.internal}</td>
+                            <td>${d.external}</td>
+                            <td><strong>${d.internal + d.external}</strong></td>
+                            <td>${this.timer.formatTime(Math.round(d.pausedSeconds / 60))}</td>
+                            <td>${d.awayCount} lần · ${this.timer.formatTime(Math.round(d.awaySeconds / 60))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <h4 class="mt-2">Phiên làm việc gần đây</h4>
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th>Thời điểm</th>
+                        <th>Thời lượng</th>
+                        <th>⚡ Gián đoạn</th>
+                        <th>⏸️ Tạm dừng</th>
+                        <th>🚪 Rời tab</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${recentWork.map(s => `
+                        <tr>
+                            <td>${new Date(s.timestamp).toLocaleString('vi-VN', { hour: '2-digit', minute: '2-digit', day: '2-digit', month: '2-digit' })}</td>
+                            <td>${this.timer.formatTime(s.duration || 0)}</td>
+                            <td>${(s.interruptions || []).length}</td>
+                            <td>${this.timer.formatTime(Math.round((s.pausedSeconds || 0) / 60))}</td>
+                            <td>${s.awayCount || 0} lần · ${this.timer.formatTime(Math.round((s.awaySeconds || 0) / 60))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Update activity chart: focus minutes per day/month, with the previous period as faded bars
+     * @param {Object} current - aggregate of the selected range (see loadRangeStats)
+     * @param {Object} previous - aggregate of the period before it
+     */
+    updateChart(current, previous) {
         const canvas = document.getElementById('activityChart');
         if (!canvas) return;
 
@@ -1644,51 +2415,306 @@ class ChillPomodoroApp {
         ctx.scale(dpr, dpr);
         ctx.clearRect(0, 0, rect.width, rect.height);
 
-        // Get last 7 days data
-        const last7Days = [];
-        const today = new Date();
+        if (current.totals.workMinutes === 0 && previous.totals.workMinutes === 0) {
+            this.drawEmptyChart(ctx, rect.width, rect.height);
+            return;
+        }
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            last7Days.push({
-                date: date.toISOString().split('T')[0],
-                day: date.toLocaleDateString('vi-VN', { weekday: 'short' }),
-                minutes: 0
+        const data = current.buckets.map((bucket, index) => ({
+            label: bucket.label,
+            value: bucket.workMinutes,
+            previous: previous.buckets[index]?.workMinutes || 0
+        }));
+        this.drawBarChart(ctx, rect.width, rect.height, data);
+    }
+
+    /**
+     * Update average focus rating chart (per day/month of the selected range, or per hour) and recent notes
+     * @param {Object} current - aggregate of the selected range (loaded when omitted)
+     */
+    async updateFocusStats(current = null) {
+        const mode = document.getElementById('focusChartMode')?.value || 'day';
+
+        let buckets;
+        if (mode === 'hour') {
+            // Every rated session ever, streamed from the sessions store
+            buckets = Array.from({ length: 24 }, (_, hour) => ({ key: hour, label: `${hour}h`, sum: 0, count: 0 }));
+            await storageManager.forEachSession({ type: 'work', filter: s => !!s.focusRating }, session => {
+                const bucket = buckets[new Date(session.timestamp).getHours()];
+                bucket.sum += session.focusRating;
+                bucket.count++;
             });
+        } else {
+            const range = current || (await this.loadRangeStats()).current;
+            buckets = range.buckets.map(b => ({ key: b.key, label: b.label, sum: b.focusSum, count: b.focusCount }));
         }
 
-        // Calculate total minutes for each day
-        sessions.forEach(session => {
-            if (session.type === 'work' && session.completed) {
-                const sessionDate = new Date(session.timestamp).toISOString().split('T')[0];
-                const dayData = last7Days.find(d => d.date === sessionDate);
-                if (dayData) {
-                    dayData.minutes += session.duration || session.workDuration || 25;
-                }
+        const canvas = document.getElementById('focusChart');
+        if (canvas) {
+            const ctx = canvas.getContext('2d');
+            const rect = canvas.getBoundingClientRect();
+            const dpr = window.devicePixelRatio || 1;
+
+            canvas.width = rect.width * dpr;
+            canvas.height = rect.height * dpr;
+            canvas.style.width = rect.width + 'px';
+            canvas.style.height = rect.height + 'px';
+
+            ctx.scale(dpr, dpr);
+            ctx.clearRect(0, 0, rect.width, rect.height);
+
+            if (buckets.every(b => b.count === 0)) {
+                this.drawEmptyChart(ctx, rect.width, rect.height);
+            } else {
+                const data = buckets.map(b => ({ label: b.label, value: b.count ? b.sum / b.count : 0 }));
+                this.drawBarChart(ctx, rect.width, rect.height, data, {
+                    maxValue: 5,
+                    formatValue: value => value.toFixed(1) + '★'
+                });
             }
+        }
+
+        await this.renderRecentNotes();
+    }
+
+    /**
+     * Update when focus happens in the selected range: per-hour chart, weekday × hour matrix
+     * and the best focus windows
+     * @param {Object} current - aggregate of the selected range (loaded when omitted)
+     */
+    async updateFocusPatterns(current = null) {
+        const range = current || (await this.loadRangeStats()).current;
+        const patterns = analyzeFocusPatterns(range.sessions);
+        const mode = document.getElementById('hourChartMode')?.value || 'minutes';
+
+        const canvas = document.getElementById('hourChart');
+        if (canvas) {
+            const ctx = canvas.getContext('2d');
+            const rect = canvas.getBoundingClientRect();
+            const dpr = window.devicePixelRatio || 1;
+
+            canvas.width = rect.width * dpr;
+            canvas.height = rect.height * dpr;
+            canvas.style.width = rect.width + 'px';
+            canvas.style.height = rect.height + 'px';
+
+            ctx.scale(dpr, dpr);
+            ctx.clearRect(0, 0, rect.width, rect.height);
+
+            if (patterns.hours.every(h => h.started === 0 && h.minutes === 0)) {
+                this.drawEmptyChart(ctx, rect.width, rect.height);
+            } else if (mode === 'completion') {
+                const data = patterns.hours.map(h => ({ label: `${h.hour}h`, value: h.completionRate || 0 }));
+                this.drawBarChart(ctx, rect.width, rect.height, data, {
+                    maxValue: 100,
+                    formatValue: value => value + '%'
+                });
+            } else {
+                const data = patterns.hours.map(h => ({ label: `${h.hour}h`, value: h.minutes }));
+                this.drawBarChart(ctx, rect.width, rect.height, data);
+            }
+        }
+
+        this.renderWeekdayHourMatrix(patterns);
+        this.renderFocusWindows(patterns);
+    }
+
+    /**
+     * Weekday × hour grid of focus minutes
+     */
+    renderWeekdayHourMatrix(patterns) {
+        const container = document.getElementById('weekdayHourMatrix');
+        if (!container) return;
+
+        if (patterns.totalMinutes === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const busiest = Math.max(...patterns.matrix.flat(), 1);
+        const level = minutes => minutes === 0 ? 0 : Math.min(4, Math.ceil(minutes / busiest * 4));
+        const hourLabels = Array.from({ length: 24 }, (_, hour) => `<span>${hour % 3 === 0 ? hour : ''}</span>`).join('');
+
+        container.innerHTML = `
+            <div class="weekday-hour-matrix">
+                <span></span>
+                ${hourLabels}
+                ${patterns.matrix.map((row, weekday) => `
+                    <span class="weekday-hour-label">${WEEKDAY_NAMES[weekday]}</span>
+                    ${row.map((minutes, hour) => `
+                        <span class="heatmap-cell level-${level(minutes)}" title="${WEEKDAY_NAMES[weekday]}, ${hour}h–${hour + 1}h: ${minutes} phút"></span>
+                    `).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Suggest the hours and weekday where focus works best
+     */
+    renderFocusWindows(patterns) {
+        const container = document.getElementById('focusWindows');
+        if (!container) return;
+
+        const windows = findBestFocusWindows(patterns.hours);
+        if (windows.length === 0) {
+            container.innerHTML = '<div class="text-muted">Chưa đủ dữ liệu để gợi ý khung giờ. Hoàn thành thêm vài phiên hoặc chọn khoảng thời gian dài hơn nhé!</div>';
+            return;
+        }
+
+        // Average minutes per worked day, so a weekday that occurs more often in the range doesn't win by count alone
+        const bestDay = patterns.weekdays
+            .filter(day => day.days > 0)
+            .sort((a, b) => b.minutes / b.days - a.minutes / a.days)[0];
+
+        container.innerHTML = `
+            <ul class="focus-windows">
+                ${windows.map((slot, index) => `
+                    <li>
+                        <span>${index === 0 ? '🌟' : '✨'} <strong>${slot.startHour}h – ${slot.endHour}h</strong></span>
+                        <span>${this.timer.formatTime(slot.minutes)} tập trung · ${slot.completionRate}% hoàn thành${slot.focus !== null ? ` · ${slot.focus}★` : ''}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${bestDay ? `<div class="mt-2">📅 Ngày hiệu quả nhất: <strong>${bestDay.name}</strong> (trung bình ${this.timer.formatTime(Math.round(bestDay.minutes / bestDay.days))} mỗi ngày)</div>` : ''}
+        `;
+    }
+
+    /**
+     * Focus minutes per course/activity for one week: donut chart and table against the week before
+     */
+    async updateCourseBreakdown() {
+        const range = getWeekRange(this.courseWeekOffset);
+        const previousRange = getWeekRange(this.courseWeekOffset + 1);
+        const [sessions, previousSessions] = await Promise.all([
+            storageManager.getSessions({ from: range.from, to: range.to, type: 'work' }),
+            storageManager.getSessions({ from: previousRange.from, to: previousRange.to, type: 'work' })
+        ]);
+        const groups = aggregateByStudyTag(sessions);
+        const previousMinutes = new Map(aggregateByStudyTag(previousSessions).map(group => [group.key, group.minutes]));
+
+        const label = document.getElementById('courseWeekLabel');
+        if (label) {
+            const format = date => date.toLocaleDateString('vi-VN', { day: '2-digit', month: '2-digit' });
+            label.textContent = this.courseWeekOffset === 0
+                ? `Tuần này (${format(range.from)} – ${format(range.to)})`
+                : `${format(range.from)} – ${format(range.to)}`;
+        }
+        const nextBtn = document.getElementById('courseWeekNext');
+        if (nextBtn) nextBtn.disabled = this.courseWeekOffset === 0;
+
+        // Course colors from the class schedule, then the schedule palette
+        const courseColors = new Map(this.studyTagManager.getCourses().map(course => [course.courseName, course.color]));
+        const palette = this.scheduleManager.colorPalette;
+        groups.forEach((group, index) => {
+            group.color = !group.type ? '#94a3b8' : courseColors.get(group.name) || palette[index % palette.length];
         });
 
-        const totalMinutes = last7Days.reduce((sum, day) => sum + day.minutes, 0);
+        const total = groups.reduce((sum, group) => sum + group.minutes, 0);
 
-        if (totalMinutes === 0) {
-            this.drawEmptyChart(ctx, rect.width, rect.height);
+        const canvas = document.getElementById('courseChart');
+        if (canvas) {
+            const ctx = canvas.getContext('2d');
+            const rect = canvas.getBoundingClientRect();
+            const dpr = window.devicePixelRatio || 1;
+
+            canvas.width = rect.width * dpr;
+            canvas.height = rect.height * dpr;
+            canvas.style.width = rect.width + 'px';
+            canvas.style.height = rect.height + 'px';
+
+            ctx.scale(dpr, dpr);
+            ctx.clearRect(0, 0, rect.width, rect.height);
+
+            if (total === 0) {
+                this.drawEmptyChart(ctx, rect.width, rect.height);
+            } else {
+                this.drawDonutChart(ctx, rect.width, rect.height, groups.map(group => ({ value: group.minutes, color: group.color })),
+                    this.timer.formatTime(total));
+            }
+        }
+
+        const table = document.getElementById('courseBreakdown');
+        if (!table) return;
+
+        if (total === 0) {
+            table.innerHTML = '<div class="text-muted">Chưa có phiên nào trong tuần này. Chọn môn học bên cạnh đồng hồ trước khi bắt đầu để theo dõi thời gian học từng môn!</div>';
             return;
         }
 
-        this.drawBarChart(ctx, rect.width, rect.height, last7Days);
+        table.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th>Môn học / hoạt động</th>
+                        <th>Thời gian</th>
+                        <th>🍅</th>
+                        <th>Tỉ lệ</th>
+                        <th>So với tuần trước</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${groups.map(group => {
+                        const before = previousMinutes.get(group.key) || 0;
+                        const diff = group.minutes - before;
+                        return `
+                            <tr>
+                                <td>
+                                    <span class="course-swatch" style="background: ${group.color}"></span>
+                                    ${group.type === 'activity' ? '🏠 ' : ''}${group.name || 'Chưa gắn môn học'}
+                                </td>
+                                <td>${this.timer.formatTime(group.minutes)}</td>
+                                <td>${group.pomodoros}</td>
+                                <td>${Math.round(group.minutes / total * 100)}%</td>
+                                <td class="stats-change ${diff > 0 ? 'up' : diff < 0 ? 'down' : 'same'}">
+                                    ${diff === 0 ? '–' : `${diff > 0 ? '▲' : '▼'} ${this.timer.formatTime(Math.abs(diff))}`}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * List the latest work sessions that have a reflection note
+     */
+    async renderRecentNotes() {
+        const container = document.getElementById('recentNotes');
+        if (!container) return;
+
+        const notes = await storageManager.getSessions({ type: 'work', filter: s => !!s.note, limit: 10 });
+        if (notes.length === 0) {
+            container.innerHTML = '<div class="text-muted">Chưa có ghi chú nào. Ghi lại điều bạn đã làm sau mỗi phiên nhé!</div>';
+            return;
+        }
+
+        container.innerHTML = notes.map(session => `
+            <div class="recent-note">
+                <div class="recent-note-meta">
+                    <span>${new Date(session.timestamp).toLocaleString('vi-VN', { weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}${session.taskName ? ` · ${session.taskName}` : ''}</span>
+                    <span>${session.focusRating ? '★'.repeat(session.focusRating) + '☆'.repeat(5 - session.focusRating) : ''}</span>
+                </div>
+                <div>${session.note}</div>
+            </div>
+        `).join('');
     }
 
     /**
      * Draw bar chart
+     * @param {Array<{label: string, value: number, previous?: number}>} data - previous is drawn as a faded bar behind
+     * @param {Object} options - maxValue (fixed scale) and formatValue (bar label)
      */
-    drawBarChart(ctx, width, height, data) {
+    drawBarChart(ctx, width, height, data, options = {}) {
         const padding = 50;
         const chartWidth = width - padding * 2;
         const chartHeight = height - padding * 2;
         const barWidth = (chartWidth / data.length) * 0.6;
 
-        const maxValue = Math.max(...data.map(d => d.minutes), 1);
+        const maxValue = options.maxValue || Math.max(...data.map(d => Math.max(d.value, d.previous || 0)), 1);
+        const formatValue = options.formatValue || (value => value + 'm');
+        const labelEvery = Math.ceil(data.length / 12); // avoid overlapping labels on dense charts
 
         const isDark = this.settings.darkMode;
         const textColor = isDark ? '#cbd5e1' : '#475569';
@@ -1697,22 +2723,32 @@ class ChillPomodoroApp {
         ctx.font = '12px system-ui, -apple-system, sans-serif';
 
         // Draw bars
-        data.forEach((day, index) => {
+        data.forEach((item, index) => {
             const x = padding + index * (chartWidth / data.length) + (chartWidth / data.length - barWidth) / 2;
-            const barHeight = (day.minutes / maxValue) * chartHeight * 0.8;
+            const barHeight = (item.value / maxValue) * chartHeight * 0.8;
             const y = padding + chartHeight - barHeight;
 
+            if (item.previous) {
+                const previousHeight = (item.previous / maxValue) * chartHeight * 0.8;
+                ctx.fillStyle = barColor;
+                ctx.globalAlpha = 0.25;
+                ctx.fillRect(x - barWidth * 0.2, padding + chartHeight - previousHeight, barWidth, previousHeight);
+                ctx.globalAlpha = 1;
+            }
+
             ctx.fillStyle = barColor;
             ctx.fillRect(x, y, barWidth, barHeight);
 
-            // Draw day label
+            // Draw label
             ctx.fillStyle = textColor;
             ctx.textAlign = 'center';
-            ctx.fillText(day.day, x + barWidth / 2, height - padding + 20);
+            if (index % labelEvery === 0) {
+                ctx.fillText(item.label, x + barWidth / 2, height - padding + 20);
+            }
 
             // Draw value label
-            if (day.minutes > 0) {
-                ctx.fillText(day.minutes + 'm', x + barWidth / 2, y - 8);
+            if (item.value > 0 && labelEvery === 1) {
+                ctx.fillText(formatValue(item.value), x + barWidth / 2, y - 8);
             }
         });
 
@@ -1727,6 +2763,44 @@ class ChillPomodoroApp {
         ctx.stroke();
     }
 
+    /**
+     * Draw donut chart
+     * @param {Array<{value: number, color: string}>} data
+     * @param {string} centerText - shown in the hole (e.g. the total)
+     */
+    drawDonutChart(ctx, width, height, data, centerText = '') {
+        const radius = Math.min(width, height) / 2 - 10;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const total = data.reduce((sum, item) => sum + item.value, 0);
+
+        let angle = -Math.PI / 2;
+        data.forEach(item => {
+            const slice = (item.value / total) * Math.PI * 2;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.arc(centerX, centerY, radius, angle, angle + slice);
+            ctx.closePath();
+            ctx.fillStyle = item.color;
+            ctx.fill();
+            angle += slice;
+        });
+
+        // Cut out the hole
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * 0.6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalCompositeOperation = 'source-over';
+
+        ctx.fillStyle = this.settings.darkMode ? '#cbd5e1' : '#475569';
+        ctx.font = 'bold 16px system-ui, -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(centerText, centerX, centerY);
+        ctx.textBaseline = 'alphabetic';
+    }
+
     /**
      * Draw empty chart
      */
@@ -1741,23 +2815,6 @@ class ChillPomodoroApp {
         ctx.font = '14px system-ui, -apple-system, sans-serif';
         ctx.fillText('Hãy hoàn thành phiên làm việc đầu tiên!', width / 2, height / 2 + 15);
     }
-
-    /**
-     * Show notification
-     */
-    showNotification(message, type = 'info') {
-        const notification = document.getElementById('notification');
-        const text = document.getElementById('notificationText');
-
-        if (!notification || !text) return;
-
-        text.textContent = message;
-        notification.className = `notification ${type} show`;
-
-        setTimeout(() => {
-            notification.classList.remove('show');
-        }, 3000);
-    }
 }
 
 // Initialize app when DOM is ready
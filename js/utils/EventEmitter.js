@@ -0,0 +1,59 @@
+/**
+ * EventEmitter - Minimal typed event emitter
+ * Only event names declared up front can be subscribed to or emitted,
+ * so a typo fails loudly instead of silently never firing.
+ */
+
+export class EventEmitter {
+    constructor(eventNames = []) {
+        this.listeners = new Map(eventNames.map(name => [name, new Set()]));
+    }
+
+    /**
+     * Subscribe to an event
+     * @returns {Function} unsubscribe function
+     */
+    on(event, listener) {
+        this.getListeners(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once(event, listener) {
+        const off = this.on(event, payload => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Unsubscribe from an event
+     */
+    off(event, listener) {
+        this.getListeners(event).delete(listener);
+    }
+
+    /**
+     * Call every listener of an event; a failing listener does not stop the others
+     */
+    emit(event, payload = {}) {
+        [...this.getListeners(event)].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" listener:`, error);
+            }
+        });
+    }
+
+    getListeners(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        return listeners;
+    }
+}
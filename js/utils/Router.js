@@ -0,0 +1,65 @@
+/**
+ * Router - Hash routes for tabs (#/stats, #/schedules, ...) and one-shot URL commands
+ * Commands such as ?start=50&type=work&preset=Deep%20Focus are read once and removed from the URL.
+ */
+
+export const URL_COMMANDS = ['start', 'type', 'preset'];
+
+export class Router {
+    /**
+     * @param {string[]} tabs - valid tab names
+     * @param {Function} onRoute - called with the tab name when the hash changes (back/forward, edited URL)
+     * @param {string} defaultTab - tab shown for URLs without a (known) tab
+     */
+    constructor(tabs, onRoute, defaultTab = tabs[0] || 'timer') {
+        this.tabs = tabs;
+        this.onRoute = onRoute;
+        this.defaultTab = defaultTab;
+    }
+
+    /**
+     * Listen for hash changes and return the tab of the current URL (null when none)
+     */
+    start() {
+        window.addEventListener('hashchange', () => {
+            // Back to the first entry (no hash) returns to the default tab
+            this.onRoute(this.getTabFromHash() || this.defaultTab);
+        });
+        return this.getTabFromHash();
+    }
+
+    /**
+     * Tab name from a hash like "#/stats" (null when unknown)
+     */
+    getTabFromHash(hash = location.hash) {
+        const tab = hash.replace(/^#\/?/, '').split('/')[0];
+        return this.tabs.includes(tab) ? tab : null;
+    }
+
+    /**
+     * Reflect the current tab in the URL (adds a history entry for back/forward)
+     */
+    navigate(tab) {
+        if (this.getTabFromHash() === tab) return;
+        history.pushState(null, '', `${location.pathname}${location.search}#/${tab}`);
+    }
+
+    /**
+     * Read the URL commands and remove them so a reload doesn't repeat them
+     * @returns {{ start: string|null, type: string|null, preset: string|null }}
+     */
+    takeCommands() {
+        const params = new URLSearchParams(location.search);
+        const commands = {};
+        URL_COMMANDS.forEach(name => {
+            commands[name] = params.get(name);
+            params.delete(name);
+        });
+
+        if (URL_COMMANDS.some(name => commands[name] !== null)) {
+            const query = params.toString();
+            history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+        }
+        return commands;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * SequenceEditor - Render and edit custom cycle sequences in Settings
+ */
+
+export class SequenceEditor {
+    constructor(settings) {
+        this.settings = settings;
+        this.steps = [];
+        this.templates = {
+            classic: [],
+            '52-17': [
+                { type: 'work', duration: 52 },
+                { type: 'shortBreak', duration: 17 }
+            ],
+            '50-10-90-30': [
+                { type: 'work', duration: 50 },
+                { type: 'shortBreak', duration: 10 },
+                { type: 'work', duration: 50 },
+                { type: 'shortBreak', duration: 10 },
+                { type: 'work', duration: 90 },
+                { type: 'longBreak', duration: 30 }
+            ],
+            warmup: [
+                { type: 'work', duration: 15, label: 'Khởi động' },
+                { type: 'shortBreak', duration: 5 },
+                { type: 'work', duration: 25 },
+                { type: 'shortBreak', duration: 5 },
+                { type: 'work', duration: 25 },
+                { type: 'shortBreak', duration: 5 },
+                { type: 'work', duration: 25 },
+                { type: 'longBreak', duration: 15 }
+            ]
+        };
+    }
+
+    /**
+     * Render editor rows for the given steps
+     */
+    render(steps = this.steps) {
+        this.steps = steps.map(step => ({ ...step }));
+
+        const container = document.getElementById('sequenceEditor');
+        if (!container) return;
+
+        if (this.steps.length === 0) {
+            container.innerHTML = `
+                <div class="text-muted">
+                    Đang dùng chu kỳ cổ điển: ${this.settings.longBreakInterval} phiên làm việc rồi nghỉ dài.
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.steps.map((step, index) => `
+            <div class="sequence-step" data-index="${index}">
+                <span class="sequence-step-index">${index + 1}</span>
+                <select class="sequence-step-type">
+                    <option value="work" ${step.type === 'work' ? 'selected' : ''}>Làm việc</option>
+                    <option value="shortBreak" ${step.type === 'shortBreak' ? 'selected' : ''}>Nghỉ ngắn</option>
+                    <option value="longBreak" ${step.type === 'longBreak' ? 'selected' : ''}>Nghỉ dài</option>
+                </select>
+                <input type="number" class="sequence-step-duration" min="1" max="180" value="${step.duration}" title="Phút">
+                <input type="text" class="sequence-step-label" value="${step.label || ''}" placeholder="Nhãn (tùy chọn)" maxlength="30">
+                <button type="button" class="sequence-step-btn move-up" title="Lên" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="sequence-step-btn remove" title="Xóa">✕</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.sequence-step').forEach(row => {
+            const index = parseInt(row.dataset.index);
+            row.querySelector('.move-up')?.addEventListener('click', () => this.moveStepUp(index));
+            row.querySelector('.remove')?.addEventListener('click', () => this.removeStep(index));
+        });
+    }
+
+    /**
+     * Read the current rows back into step objects
+     */
+    readRows() {
+        const container = document.getElementById('sequenceEditor');
+        if (!container) return this.steps;
+
+        const rows = container.querySelectorAll('.sequence-step');
+        if (rows.length === 0) return this.steps;
+
+        return Array.from(rows).map(row => {
+            const duration = parseInt(row.querySelector('.sequence-step-duration')?.value);
+            const label = (row.querySelector('.sequence-step-label')?.value || '').replace(/[<>]/g, '').trim();
+            const step = {
+                type: row.querySelector('.sequence-step-type')?.value || 'work',
+                duration: isNaN(duration) ? 25 : Math.min(180, Math.max(1, duration))
+            };
+            if (label) step.label = label;
+            return step;
+        });
+    }
+
+    /**
+     * Get validated steps; a sequence without any work step falls back to the classic cycle
+     */
+    getSteps() {
+        const steps = this.readRows();
+        return steps.some(step => step.type === 'work') ? steps : [];
+    }
+
+    /**
+     * Append a step, alternating work and break
+     */
+    addStep() {
+        const steps = this.readRows();
+        const last = steps[steps.length - 1];
+        steps.push(last?.type === 'work'
+            ? { type: 'shortBreak', duration: this.settings.shortBreakDuration }
+            : { type: 'work', duration: this.settings.workDuration });
+        this.render(steps);
+    }
+
+    removeStep(index) {
+        const steps = this.readRows();
+        steps.splice(index, 1);
+        this.render(steps);
+    }
+
+    moveStepUp(index) {
+        if (index <= 0) return;
+        const steps = this.readRows();
+        [steps[index - 1], steps[index]] = [steps[index], steps[index - 1]];
+        this.render(steps);
+    }
+
+    /**
+     * Replace the rows with a built-in template
+     */
+    applyTemplate(name) {
+        const template = this.templates[name];
+        if (!template) return;
+        this.render(template);
+    }
+
+    /**
+     * Short text summary, e.g. "50/10 → 50/10 → 90/30"
+     */
+    static describe(steps) {
+        if (!Array.isArray(steps) || steps.length === 0) return '';
+
+        const parts = [];
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const next = steps[i + 1];
+            if (step.type === 'work' && next && next.type !== 'work') {
+                parts.push(`${step.duration}/${next.duration}`);
+                i++;
+            } else {
+                parts.push(`${step.duration}`);
+            }
+        }
+        return parts.join(' → ');
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Adaptive breaks - break length from the recent workload
+ * The usual break is scaled by the length of the last work session, the number of
+ * sessions worked in a row and the focus ratings, then kept within the user's bounds.
+ */
+
+const RUN_GAP_MINUTES = 20; // a longer gap between sessions starts a new run
+
+/**
+ * Work done in the current run of sessions (history is newest first).
+ * A run ends at a completed long break or a gap of more than RUN_GAP_MINUTES.
+ * @returns {{ sessions: number, workMinutes: number, lastWorkMinutes: number|null, lastOvertimeMinutes: number, focus: number|null }}
+ */
+export function getRecentWorkload(history, now = Date.now()) {
+    let sessions = 0;
+    let workMinutes = 0;
+    let lastWorkMinutes = null;
+    let lastOvertimeMinutes = 0;
+    let extending = false; // the newest work record was a "+5 phút" extension of the one before
+    const ratings = [];
+    let cursor = now;
+
+    for (const session of history || []) {
+        const endedAt = Date.parse(session.timestamp);
+        if (!endedAt || cursor - endedAt > RUN_GAP_MINUTES * 60 * 1000) break;
+        if (session.type === 'longBreak' && session.completed) break;
+
+        if (session.type === 'work' && session.duration > 0) {
+            if (lastWorkMinutes === null) {
+                lastWorkMinutes = session.duration;
+                lastOvertimeMinutes = session.overtimeDuration || 0;
+                extending = !!session.extension;
+            } else if (extending) {
+                lastWorkMinutes += session.duration;
+                lastOvertimeMinutes += session.overtimeDuration || 0;
+                extending = !!session.extension;
+            }
+
+            if (!session.extension) sessions++;
+            workMinutes += session.duration;
+            if (session.focusRating) ratings.push(session.focusRating);
+        }
+
+        cursor = session.startedAt ? Date.parse(session.startedAt) : endedAt - (session.duration || 0) * 60 * 1000;
+    }
+
+    const focus = ratings.length > 0
+        ? Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length * 10) / 10
+        : null;
+
+    return { sessions, workMinutes, lastWorkMinutes, lastOvertimeMinutes, focus };
+}
+
+/**
+ * Break length for a workload
+ * @param {Object} options
+ * @param {number} options.baseMinutes - the usual break for this break type
+ * @param {number} options.workDuration - the usual work session length
+ * @param {boolean} options.longBreak - runs of sessions are already rewarded by the long break itself
+ * @param {Object} options.workload - from getRecentWorkload
+ * @param {number} options.min - shortest allowed break in minutes
+ * @param {number} options.max - longest allowed break in minutes
+ * @returns {{ minutes: number, reasons: string[] }}
+ */
+export function computeAdaptiveBreak({ baseMinutes, workDuration, longBreak = false, workload, min, max }) {
+    const reasons = [];
+    let minutes = baseMinutes;
+
+    // Longer work earns a proportionally longer break (overtime included)
+    const last = workload.lastWorkMinutes;
+    if (last && workDuration > 0) {
+        const factor = Math.min(2, Math.max(0.5, last / workDuration));
+        minutes *= factor;
+        if (workload.lastOvertimeMinutes > 0) {
+            reasons.push(`làm thêm ${workload.lastOvertimeMinutes} phút`);
+        } else if (factor >= 1.1) {
+            reasons.push(`phiên dài ${last} phút`);
+        } else if (factor <= 0.9) {
+            reasons.push(`phiên ngắn ${last} phút`);
+        }
+    }
+
+    if (!longBreak && workload.sessions >= 3) {
+        minutes *= 1 + Math.min(0.5, (workload.sessions - 2) * 0.1);
+        reasons.push(`${workload.sessions} phiên liên tiếp (${workload.workMinutes} phút)`);
+    }
+
+    // Low focus is a sign of fatigue
+    if (workload.focus !== null) {
+        if (workload.focus <= 2.5) {
+            minutes *= 1.25;
+            reasons.push(`tập trung thấp (${workload.focus}/5)`);
+        } else if (workload.focus >= 4.5) {
+            minutes *= 0.9;
+            reasons.push(`tập trung tốt (${workload.focus}/5)`);
+        }
+    }
+
+    const low = Math.max(1, Math.min(min, max));
+    const high = Math.max(low, max);
+    const rounded = Math.round(minutes);
+    const bounded = Math.min(high, Math.max(low, rounded));
+    if (bounded !== rounded) {
+        reasons.push(bounded === high ? `tối đa ${high} phút` : `tối thiểu ${low} phút`);
+    }
+
+    return { minutes: bounded, reasons };
+}
@@ -0,0 +1,124 @@
+/**
+ * Break routines - built-in breathing patterns and exercise routines for guided breaks
+ * A routine is { id, name, kind: 'breathing'|'steps', loop, steps: [{ label, seconds, phase? }] }.
+ * Breathing routines loop until the break ends; step routines run once.
+ */
+
+export const BUILT_IN_ROUTINES = [
+    {
+        id: 'box-breathing',
+        name: '🌬️ Thở hộp (4-4-4-4)',
+        kind: 'breathing',
+        loop: true,
+        steps: [
+            { label: 'Hít vào', seconds: 4, phase: 'inhale' },
+            { label: 'Giữ hơi', seconds: 4, phase: 'hold' },
+            { label: 'Thở ra', seconds: 4, phase: 'exhale' },
+            { label: 'Giữ', seconds: 4, phase: 'hold' }
+        ]
+    },
+    {
+        id: 'breathing-478',
+        name: '🌙 Thở 4-7-8',
+        kind: 'breathing',
+        loop: true,
+        steps: [
+            { label: 'Hít vào bằng mũi', seconds: 4, phase: 'inhale' },
+            { label: 'Giữ hơi', seconds: 7, phase: 'hold' },
+            { label: 'Thở ra bằng miệng', seconds: 8, phase: 'exhale' }
+        ]
+    },
+    {
+        id: 'eye-exercise',
+        name: '👀 Thư giãn mắt',
+        kind: 'steps',
+        loop: false,
+        steps: [
+            { label: 'Nhìn xa khoảng 6 mét', seconds: 20 },
+            { label: 'Chớp mắt chậm 10 lần', seconds: 15 },
+            { label: 'Nhìn sang trái rồi sang phải', seconds: 20 },
+            { label: 'Nhìn lên rồi nhìn xuống', seconds: 20 },
+            { label: 'Đảo mắt theo vòng tròn', seconds: 20 },
+            { label: 'Nhắm mắt, xoa ấm lòng bàn tay áp lên mắt', seconds: 30 }
+        ]
+    },
+    {
+        id: 'neck-shoulders',
+        name: '🙆 Giãn cổ và vai',
+        kind: 'steps',
+        loop: false,
+        steps: [
+            { label: 'Nghiêng đầu sang trái', seconds: 20 },
+            { label: 'Nghiêng đầu sang phải', seconds: 20 },
+            { label: 'Cúi cằm về phía ngực', seconds: 20 },
+            { label: 'Xoay vai ra sau', seconds: 20 },
+            { label: 'Xoay vai ra trước', seconds: 20 },
+            { label: 'Đan tay, duỗi thẳng lên trên đầu', seconds: 30 }
+        ]
+    },
+    {
+        id: 'desk-stretch',
+        name: '🧍 Vận động tại chỗ',
+        kind: 'steps',
+        loop: false,
+        steps: [
+            { label: 'Đứng dậy, vươn vai', seconds: 30 },
+            { label: 'Gập người, với tay về mũi chân', seconds: 30 },
+            { label: 'Xoay hông theo vòng tròn', seconds: 30 },
+            { label: 'Kéo giãn cổ tay', seconds: 30 },
+            { label: 'Đi bộ tại chỗ, uống một ngụm nước', seconds: 60 }
+        ]
+    }
+];
+
+/**
+ * Where a routine is after `elapsedSeconds`
+ * @returns {{ step, index, round, stepRemaining, finished }|null} null for an empty routine
+ */
+export function getRoutineStep(routine, elapsedSeconds) {
+    const steps = routine?.steps || [];
+    const total = steps.reduce((sum, step) => sum + step.seconds, 0);
+    if (total <= 0) return null;
+
+    let time = Math.max(0, elapsedSeconds);
+    let round = 0;
+    if (routine.loop) {
+        round = Math.floor(time / total);
+        time = time % total;
+    } else if (time >= total) {
+        return { step: null, index: steps.length, round, stepRemaining: 0, finished: true };
+    }
+
+    for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+        if (time < step.seconds) {
+            return { step, index, round, stepRemaining: step.seconds - time, finished: false };
+        }
+        time -= step.seconds;
+    }
+    return null;
+}
+
+/**
+ * Parse one step per line, e.g. "Xoay cổ tay: 30" or "Đi bộ - 60"
+ * Returns null when a line is invalid
+ */
+export function parseRoutineSteps(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const steps = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+
+        const match = line.match(/^(.+?)\s*[:|-]\s*(\d+)\s*(s|giây)?\s*$/i);
+        if (!match) return null;
+
+        const label = match[1].replace(/[<>]/g, '').trim();
+        const seconds = parseInt(match[2]);
+        if (!label || seconds < 5 || seconds > 600) return null;
+
+        steps.push({ label, seconds });
+    }
+
+    return steps.length > 0 && steps.length <= 30 ? steps : null;
+}
@@ -0,0 +1,130 @@
+/**
+ * Focus patterns - when focus happens by hour of day and weekday
+ * Work minutes are spread over the clock hours they covered; completion rates count
+ * the work sessions started in each hour, abandoned ones included (skips that never ran are not).
+ */
+
+export const WEEKDAY_NAMES = ['Thứ 2', 'Thứ 3', 'Thứ 4', 'Thứ 5', 'Thứ 6', 'Thứ 7', 'Chủ nhật'];
+
+const WINDOW_HOURS = 2; // length of a suggested focus window
+const MIN_WINDOW_SESSIONS = 3; // fewer sessions are not enough to suggest a window
+
+/**
+ * Weekday index starting on Monday (0 = Monday ... 6 = Sunday)
+ */
+export function mondayIndex(date) {
+    return (date.getDay() + 6) % 7;
+}
+
+function createHour(hour) {
+    return { hour, minutes: 0, started: 0, completed: 0, focusSum: 0, focusCount: 0 };
+}
+
+/**
+ * Analyze work sessions
+ * @param {Array} sessions - session records (non-work sessions are ignored)
+ * @returns {{ hours: Array, matrix: number[][], weekdays: Array, totalMinutes: number }}
+ *   hours: per clock hour { hour, minutes, started, completed, completionRate, focus }
+ *   matrix: [weekday][hour] focus minutes, weekday 0 = Monday
+ *   weekdays: per weekday { name, minutes, days } (days = distinct dates with work)
+ */
+export function analyzeFocusPatterns(sessions) {
+    const hours = Array.from({ length: 24 }, (_, hour) => createHour(hour));
+    const matrix = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const weekdays = WEEKDAY_NAMES.map(name => ({ name, minutes: 0, dates: new Set() }));
+
+    (sessions || []).forEach(session => {
+        if (session.type !== 'work') return;
+
+        const end = new Date(session.timestamp).getTime();
+        const minutes = session.duration || 0;
+
+        // "+5 phút" extensions continue a pomodoro rather than start one
+        if (!session.extension && session.startedAt && minutes > 0) {
+            const startHour = hours[new Date(session.startedAt).getHours()];
+            startHour.started++;
+            if (session.completed) startHour.completed++;
+            if (session.focusRating) {
+                startHour.focusSum += session.focusRating;
+                startHour.focusCount++;
+            }
+        }
+
+        if (!session.completed || minutes <= 0) return;
+
+        // Walk back from the end one clock hour at a time
+        let remaining = minutes;
+        let cursor = end;
+        while (remaining > 0) {
+            const slot = new Date(cursor - 1);
+            const hourStart = new Date(slot);
+            hourStart.setMinutes(0, 0, 0);
+            const slice = Math.min(remaining, (cursor - hourStart.getTime()) / 60000);
+
+            hours[slot.getHours()].minutes += slice;
+            matrix[mondayIndex(slot)][slot.getHours()] += slice;
+            weekdays[mondayIndex(slot)].minutes += slice;
+            weekdays[mondayIndex(slot)].dates.add(slot.toDateString());
+
+            remaining -= slice;
+            cursor -= slice * 60000;
+        }
+    });
+
+    return {
+        hours: hours.map(h => ({
+            hour: h.hour,
+            minutes: Math.round(h.minutes),
+            started: h.started,
+            completed: h.completed,
+            completionRate: h.started > 0 ? Math.round(h.completed / h.started * 100) : null,
+            focus: h.focusCount > 0 ? Math.round(h.focusSum / h.focusCount * 10) / 10 : null
+        })),
+        matrix: matrix.map(row => row.map(value => Math.round(value))),
+        weekdays: weekdays.map(w => ({ name: w.name, minutes: Math.round(w.minutes), days: w.dates.size })),
+        totalMinutes: Math.round(hours.reduce((sum, h) => sum + h.minutes, 0))
+    };
+}
+
+/**
+ * Best non-overlapping focus windows, ranked by minutes of completed focus weighted by completion rate
+ * @param {Array} hours - from analyzeFocusPatterns
+ * @returns {Array<{ startHour, endHour, minutes, completionRate, focus }>}
+ */
+export function findBestFocusWindows(hours, count = 3) {
+    const windows = [];
+
+    for (let startHour = 0; startHour <= 24 - WINDOW_HOURS; startHour++) {
+        const slice = hours.slice(startHour, startHour + WINDOW_HOURS);
+        const started = slice.reduce((sum, h) => sum + h.started, 0);
+        if (started < MIN_WINDOW_SESSIONS) continue;
+
+        const completed = slice.reduce((sum, h) => sum + h.completed, 0);
+        const minutes = slice.reduce((sum, h) => sum + h.minutes, 0);
+        const rated = slice.filter(h => h.focus !== null);
+        const focus = rated.length > 0
+            ? Math.round(rated.reduce((sum, h) => sum + h.focus, 0) / rated.length * 10) / 10
+            : null;
+        const completionRate = Math.round(completed / started * 100);
+
+        windows.push({
+            startHour,
+            endHour: startHour + WINDOW_HOURS,
+            minutes,
+            completionRate,
+            focus,
+            score: minutes * completionRate / 100
+        });
+    }
+
+    const best = [];
+    windows
+        .filter(w => w.minutes > 0)
+        .sort((a, b) => b.score - a.score)
+        .forEach(w => {
+            const overlaps = best.some(b => w.startHour < b.endHour && b.startHour < w.endHour);
+            if (!overlaps && best.length < count) best.push(w);
+        });
+
+    return best.map(({ score, ...window }) => window);
+}
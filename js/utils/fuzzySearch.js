@@ -0,0 +1,57 @@
+/**
+ * Fuzzy search - ranks text by how well the query characters appear in order
+ * Matching ignores case and Vietnamese diacritics ("hen gio" finds "Hẹn giờ").
+ */
+
+/**
+ * Lowercase and strip diacritics
+ */
+export function foldText(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd');
+}
+
+/**
+ * Score a text against a query (higher is better), or null when it doesn't match.
+ * Every query character must appear in order; consecutive runs and word starts score more.
+ */
+export function fuzzyScore(query, text) {
+    const q = foldText(query).replace(/\s+/g, '');
+    const t = foldText(text);
+    if (!q) return 0;
+
+    let score = 0;
+    let run = 0;
+    let last = -1;
+    for (const char of q) {
+        const index = t.indexOf(char, last + 1);
+        if (index === -1) return null;
+
+        run = index === last + 1 ? run + 1 : 0;
+        const wordStart = index === 0 || /[\s\-_:/]/.test(t[index - 1]);
+        score += 1 + run * 2 + (wordStart ? 3 : 0) - Math.min(index - last - 1, 5) * 0.2;
+        last = index;
+    }
+
+    // Prefer shorter texts among equal matches
+    return score - t.length * 0.01;
+}
+
+/**
+ * Items matching a query, best first (all items in order for an empty query)
+ * @param {Array} items
+ * @param {string} query
+ * @param {Function} getText - text to match for an item
+ */
+export function fuzzyFilter(items, query, getText) {
+    if (!foldText(query).trim()) return items.slice();
+
+    return items
+        .map((item, index) => ({ item, index, score: fuzzyScore(query, getText(item)) }))
+        .filter(entry => entry.score !== null)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(entry => entry.item);
+}
@@ -0,0 +1,120 @@
+/**
+ * Keymap - Bindable actions, their default keys and key combo helpers
+ * A combo is a lowercase string such as "space", "r", "shift+1" or "ctrl+k".
+ * Letters and digits use the physical key, so Shift+1 stays "shift+1" instead of "!".
+ */
+
+const TABS = [
+    ['timer', 'Timer'],
+    ['animations', 'Animations'],
+    ['sounds', 'Sounds'],
+    ['presets', 'Presets'],
+    ['schedules', 'Schedules'],
+    ['settings', 'Settings'],
+    ['stats', 'Stats']
+];
+
+const QUICK_TIMERS = [5, 15, 25, 45];
+
+export const KEYMAP_ACTIONS = [
+    { id: 'toggleTimer', group: 'Timer', label: 'Bắt đầu / Tạm dừng', key: 'space' },
+    { id: 'reset', group: 'Timer', label: 'Đặt lại phiên', key: 'r' },
+    { id: 'skip', group: 'Timer', label: 'Bỏ qua phiên', key: 's' },
+    { id: 'interruptInternal', group: 'Timer', label: 'Ghi gián đoạn nội bộ', key: 'i' },
+    { id: 'interruptExternal', group: 'Timer', label: 'Ghi gián đoạn bên ngoài', key: 'e' },
+    ...QUICK_TIMERS.map((minutes, i) => ({
+        id: `quick:${minutes}`, group: 'Hẹn giờ nhanh', label: `Hẹn giờ làm việc ${minutes} phút`, key: `alt+${i + 1}`
+    })),
+    ...TABS.map(([tab, name], i) => ({
+        id: `tab:${tab}`, group: 'Chuyển tab', label: `Mở tab ${name}`, key: `${i + 1}`
+    })),
+    ...Array.from({ length: 9 }, (_, i) => ({
+        id: `preset:${i + 1}`, group: 'Preset', label: `Áp dụng preset ${i + 1}`, key: `shift+${i + 1}`
+    })),
+    { id: 'toggleMusic', group: 'Khác', label: 'Bật / tắt nhạc nền', key: 'm' },
+    { id: 'toggleBackgroundMode', group: 'Khác', label: 'Bật / tắt chế độ chỉ hình nền', key: 'b' },
+    { id: 'toggleTheme', group: 'Khác', label: 'Đổi giao diện sáng / tối', key: 't' },
+    { id: 'commandPalette', group: 'Khác', label: 'Mở bảng lệnh', key: 'ctrl+k' }
+];
+
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+const KEY_NAMES = { space: 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→', enter: 'Enter' };
+
+/**
+ * Combo for a keydown event (null for a lone modifier key).
+ * Cmd counts as Ctrl so Cmd+K works on macOS.
+ */
+export function comboFromEvent(e) {
+    let key;
+    if (/^Key[A-Z]$/.test(e.code)) {
+        key = e.code.slice(3).toLowerCase();
+    } else if (/^(Digit|Numpad)[0-9]$/.test(e.code)) {
+        key = e.code.slice(-1);
+    } else if (e.code === 'Space' || e.key === ' ') {
+        key = 'space';
+    } else {
+        key = (e.key || '').toLowerCase();
+    }
+
+    if (!key || ['control', 'alt', 'shift', 'meta', 'altgraph', 'capslock'].includes(key)) return null;
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('ctrl');
+    if (e.altKey) parts.push('alt');
+    if (e.shiftKey) parts.push('shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Lowercase a combo and put its modifiers in a fixed order ("K+Ctrl" -> "ctrl+k")
+ */
+export function normalizeCombo(combo) {
+    if (!combo || typeof combo !== 'string') return '';
+
+    const parts = combo.toLowerCase().split('+').map(part => part.trim()).filter(Boolean);
+    const key = parts.find(part => !MODIFIERS.includes(part));
+    if (!key) return '';
+
+    return [...MODIFIERS.filter(mod => parts.includes(mod)), key].join('+');
+}
+
+/**
+ * Human-readable combo, e.g. "ctrl+k" -> "Ctrl+K"
+ */
+export function formatCombo(combo) {
+    if (!combo) return '—';
+    return combo.split('+')
+        .map(part => KEY_NAMES[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1)))
+        .join('+');
+}
+
+/**
+ * Defaults with user overrides applied ('' = unbound)
+ * @param {Object<string, string>} overrides - actionId -> combo
+ * @returns {Object<string, string>} actionId -> combo
+ */
+export function resolveBindings(overrides = {}) {
+    const bindings = {};
+    KEYMAP_ACTIONS.forEach(action => {
+        bindings[action.id] = action.id in overrides ? normalizeCombo(overrides[action.id]) : action.key;
+    });
+    return bindings;
+}
+
+/**
+ * Combos bound to more than one action
+ * @returns {Object<string, string[]>} combo -> actionIds
+ */
+export function findConflicts(bindings) {
+    const byCombo = {};
+    Object.entries(bindings).forEach(([actionId, combo]) => {
+        if (!combo) return;
+        (byCombo[combo] = byCombo[combo] || []).push(actionId);
+    });
+
+    Object.keys(byCombo).forEach(combo => {
+        if (byCombo[combo].length < 2) delete byCombo[combo];
+    });
+    return byCombo;
+}
@@ -0,0 +1,26 @@
+/**
+ * In-page toast notification shared by all managers
+ */
+
+let hideTimeout = null;
+
+/**
+ * Show a toast message
+ * @param {string} message
+ * @param {'info'|'success'|'warning'|'danger'} type
+ */
+export function showNotification(message, type = 'info') {
+    const notification = document.getElementById('notification');
+    const text = document.getElementById('notificationText');
+
+    if (!notification || !text) return;
+
+    text.textContent = message;
+    notification.className = `notification ${type} show`;
+
+    // A newer toast keeps its full display time
+    clearTimeout(hideTimeout);
+    hideTimeout = setTimeout(() => {
+        notification.classList.remove('show');
+    }, 3000);
+}
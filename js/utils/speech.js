@@ -0,0 +1,52 @@
+/**
+ * Speech - Events that can be announced aloud and their text templates
+ * Templates use placeholders: {session}, {minutes}, {left}, {task}
+ */
+
+export const SPEECH_EVENTS = [
+    { id: 'breakStart', label: 'Bắt đầu giờ nghỉ', template: '{session}, {minutes} phút. Thư giãn nhé' },
+    { id: 'workStart', label: 'Trở lại làm việc', template: '{session}, {minutes} phút. {task}' },
+    { id: 'timeLeft', label: 'Báo trước khi hết phiên', template: 'Còn {left}' },
+    { id: 'overtime', label: 'Hết giờ (làm thêm)', template: 'Hết giờ. {task}' }
+];
+
+export const SPEECH_LANGUAGES = [
+    { id: 'vi-VN', name: 'Tiếng Việt' },
+    { id: 'en-US', name: 'English (US)' },
+    { id: 'en-GB', name: 'English (UK)' },
+    { id: 'ja-JP', name: '日本語' },
+    { id: 'fr-FR', name: 'Français' }
+];
+
+/**
+ * Default template for every event
+ * @returns {Object<string, string>} eventId -> template
+ */
+export function defaultSpeechTemplates() {
+    const templates = {};
+    SPEECH_EVENTS.forEach(event => {
+        templates[event.id] = event.template;
+    });
+    return templates;
+}
+
+/**
+ * Fill a template, dropping empty placeholders and leftover punctuation
+ * e.g. fillTemplate('Còn {left}. {task}', { left: '5 phút', task: '' }) -> 'Còn 5 phút'
+ */
+export function fillTemplate(template, values) {
+    if (!template) return '';
+
+    return template
+        .replace(/\{(\w+)\}/g, (match, name) => (values[name] ?? '').toString())
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([.,!?])/g, '$1')
+        .replace(/^[\s.,!?]+|[\s.,]+$/g, '');
+}
+
+/**
+ * Spoken form of a number of seconds, e.g. 600 -> "10 phút", 30 -> "30 giây"
+ */
+export function formatSpokenDuration(seconds) {
+    return seconds >= 60 ? `${Math.round(seconds / 60)} phút` : `${seconds} giây`;
+}
@@ -0,0 +1,256 @@
+/**
+ * Stats aggregation - sessions bucketed by local calendar day or month over a selectable range
+ * Keys use the local date (not toISOString) so late-night sessions count for the day they happened.
+ */
+
+export const STATS_RANGES = [
+    { id: 'week', label: '7 ngày qua' },
+    { id: 'month', label: '30 ngày qua' },
+    { id: 'year', label: '12 tháng qua' },
+    { id: 'custom', label: 'Tùy chọn' }
+];
+
+const MAX_DAY_BUCKETS = 92; // longer custom ranges are grouped by month
+
+/**
+ * Local calendar day key (YYYY-MM-DD)
+ */
+export function localDateKey(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local calendar month key (YYYY-MM)
+ */
+export function localMonthKey(date) {
+    return localDateKey(date).slice(0, 7);
+}
+
+/**
+ * Local midnight of a date or YYYY-MM-DD string
+ */
+export function startOfDay(value) {
+    const date = typeof value === 'string' ? new Date(value + 'T00:00:00') : new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Last millisecond of the local day
+ */
+export function endOfDay(value) {
+    const date = startOfDay(value);
+    date.setDate(date.getDate() + 1);
+    date.setMilliseconds(-1);
+    return date;
+}
+
+/**
+ * Resolve a range selection to dates
+ * @param {string} id - one of STATS_RANGES
+ * @param {{from?: string, to?: string}} custom - YYYY-MM-DD bounds for the custom range
+ * @returns {{ id: string, from: Date, to: Date, unit: 'day'|'month' }}
+ */
+export function getStatsRange(id, custom = {}, now = new Date()) {
+    const to = endOfDay(now);
+    const from = startOfDay(now);
+
+    if (id === 'year') {
+        from.setDate(1);
+        from.setMonth(from.getMonth() - 11);
+        return { id, from, to, unit: 'month' };
+    }
+
+    if (id === 'custom' && custom.from && custom.to) {
+        let start = startOfDay(custom.from);
+        let end = startOfDay(custom.to);
+        if (start > end) [start, end] = [end, start];
+        if (countDays(start, end) <= MAX_DAY_BUCKETS) {
+            return { id, from: start, to: endOfDay(end), unit: 'day' };
+        }
+        // Whole months, so each bar and the previous period cover full months
+        start.setDate(1);
+        end = new Date(end.getFullYear(), end.getMonth() + 1, 0);
+        return { id, from: start, to: endOfDay(end), unit: 'month' };
+    }
+
+    from.setDate(from.getDate() - (id === 'month' ? 29 : 6));
+    return { id: id === 'month' ? 'month' : 'week', from, to, unit: 'day' };
+}
+
+/**
+ * Monday-to-Sunday week as a range
+ * @param {number} weeksAgo - 0 for the current week, 1 for last week...
+ */
+export function getWeekRange(weeksAgo = 0, now = new Date()) {
+    const from = startOfDay(now);
+    from.setDate(from.getDate() - (from.getDay() + 6) % 7 - weeksAgo * 7);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 6);
+    return { id: 'week', from, to: endOfDay(to), unit: 'day' };
+}
+
+/**
+ * The range of the same length just before a range (for comparison)
+ */
+export function getPreviousRange(range) {
+    const from = new Date(range.from);
+    const to = new Date(range.from);
+    to.setMilliseconds(-1);
+
+    if (range.unit === 'month') {
+        // Month ranges start on the 1st, so the previous one has as many month buckets
+        from.setMonth(from.getMonth() - countMonths(range.from, range.to));
+    } else {
+        from.setDate(from.getDate() - countDays(range.from, range.to));
+    }
+    return { ...range, from, to };
+}
+
+/**
+ * Number of calendar days in a range (both ends included)
+ */
+export function countDays(from, to) {
+    return Math.round((startOfDay(to) - startOfDay(from)) / 86400000) + 1;
+}
+
+function countMonths(from, to) {
+    return (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth() + 1;
+}
+
+/**
+ * Empty buckets covering a range, oldest first
+ */
+export function createBuckets(range) {
+    const buckets = [];
+    const cursor = new Date(range.from);
+    const weekdays = range.unit === 'day' && countDays(range.from, range.to) <= 7;
+
+    while (cursor <= range.to) {
+        const date = new Date(cursor);
+        let label;
+        if (range.unit === 'month') {
+            label = `Th${date.getMonth() + 1}`;
+        } else if (weekdays) {
+            label = date.toLocaleDateString('vi-VN', { weekday: 'short' });
+        } else {
+            label = date.toLocaleDateString('vi-VN', { day: '2-digit', month: '2-digit' });
+        }
+
+        buckets.push({
+            key: range.unit === 'month' ? localMonthKey(date) : localDateKey(date),
+            label,
+            date,
+            workMinutes: 0,
+            breakMinutes: 0,
+            pomodoros: 0,
+            focusSum: 0,
+            focusCount: 0
+        });
+
+        if (range.unit === 'month') {
+            cursor.setDate(1);
+            cursor.setMonth(cursor.getMonth() + 1);
+        } else {
+            cursor.setDate(cursor.getDate() + 1);
+        }
+    }
+    return buckets;
+}
+
+/**
+ * Bucket sessions of a range and total them
+ * @param {Array} sessions - sessions inside the range
+ * @returns {{ buckets: Array, totals: { workMinutes, breakMinutes, pomodoros, activeDays, dailyAverage, focus } }}
+ */
+export function aggregateSessions(sessions, range) {
+    const buckets = createBuckets(range);
+    const byKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+    const activeDays = new Set();
+
+    (sessions || []).forEach(session => {
+        const date = new Date(session.timestamp);
+        const bucket = byKey.get(range.unit === 'month' ? localMonthKey(date) : localDateKey(date));
+        if (!bucket || !session.completed) return;
+
+        if (session.type === 'work') {
+            bucket.workMinutes += session.duration || 0;
+            if (!session.extension) bucket.pomodoros++; // "+5 phút" extensions continue a pomodoro
+            if (session.focusRating) {
+                bucket.focusSum += session.focusRating;
+                bucket.focusCount++;
+            }
+            if (session.duration > 0) activeDays.add(localDateKey(date));
+        } else {
+            bucket.breakMinutes += session.duration || 0;
+        }
+    });
+
+    const sum = field => buckets.reduce((total, bucket) => total + bucket[field], 0);
+    const focusCount = sum('focusCount');
+    const workMinutes = sum('workMinutes');
+
+    // Days still to come don't lower the average
+    const elapsedEnd = range.to < new Date() ? range.to : new Date();
+    const days = Math.max(1, countDays(range.from, elapsedEnd));
+
+    return {
+        buckets,
+        totals: {
+            workMinutes,
+            breakMinutes: sum('breakMinutes'),
+            pomodoros: sum('pomodoros'),
+            activeDays: activeDays.size,
+            dailyAverage: Math.round(workMinutes / days),
+            focus: focusCount > 0 ? Math.round(sum('focusSum') / focusCount * 10) / 10 : null
+        }
+    };
+}
+
+/**
+ * Completed focus per course, or per activity for activities without a course, most minutes first.
+ * Untagged work is grouped under the key ''.
+ * @returns {Array<{ key: string, type: 'course'|'activity'|null, name: string, minutes: number, pomodoros: number }>}
+ */
+export function aggregateByStudyTag(sessions) {
+    const groups = new Map();
+
+    (sessions || []).forEach(session => {
+        if (session.type !== 'work' || !session.completed) return;
+
+        // Courses are grouped by name so a re-imported class schedule keeps its history
+        const type = session.courseName ? 'course' : session.activityName ? 'activity' : null;
+        const name = session.courseName || session.activityName || '';
+        const key = type ? `${type}:${name}` : '';
+
+        if (!groups.has(key)) {
+            groups.set(key, { key, type, name, minutes: 0, pomodoros: 0 });
+        }
+        const group = groups.get(key);
+        group.minutes += session.duration || 0;
+        if (!session.extension) group.pomodoros++;
+    });
+
+    return [...groups.values()]
+        .filter(group => group.minutes > 0)
+        .sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Change of each total against the previous period
+ * @returns {Object<string, {value: number|null, previous: number|null, change: number|null}>} change in percent (null when not comparable)
+ */
+export function compareTotals(current, previous) {
+    const result = {};
+    Object.keys(current).forEach(name => {
+        const value = current[name];
+        const before = previous[name];
+        const change = value === null || before === null || before === 0
+            ? null
+            : Math.round((value - before) / before * 100);
+        result[name] = { value, previous: before, change };
+    });
+    return result;
+}
@@ -0,0 +1,37 @@
+/**
+ * ChillPomodoro service worker
+ * Handles clicks on timer notifications and forwards the chosen action to the app
+ */
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    const action = event.action || 'open';
+    event.notification.close();
+    event.waitUntil(forwardAction(action));
+});
+
+/**
+ * Send the action to an open tab, or open the app with the action in the URL
+ */
+async function forwardAction(action) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(w => w.focused) || windows[0];
+
+    if (client) {
+        client.postMessage({ type: 'notification-action', action });
+        return client.focus().catch(() => {});
+    }
+
+    const url = new URL('./', self.registration.scope);
+    if (action !== 'open') {
+        url.searchParams.set('notificationAction', action);
+    }
+    return self.clients.openWindow(url.href);
+}